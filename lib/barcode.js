@@ -0,0 +1,206 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import { getParityBit } from "./utils";
+
+// GS1 data uses the ASCII group separator where an FNC1 is needed
+export const FNC1 = '\x1d';
+
+const isDigit = (c) => c >= '0' && c <= '9';
+
+// code set A: ASCII 0-95, code set B: ASCII 32-127
+const inSetA = (c) => c === FNC1 || c.charCodeAt(0) < 96;
+const inSetB = (c) => c === FNC1 || c.charCodeAt(0) >= 32;
+
+// length of the run of digits starting at i
+function digitRun(chars, i) {
+  let n = 0;
+  while (i + n < chars.length && isDigit(chars[i + n])) n++;
+  return n;
+}
+
+function pickTextSet(chars, i) {
+  for (; i < chars.length; i++) {
+    if (!inSetB(chars[i])) return 'A';
+    if (!inSetA(chars[i])) return 'B';
+  }
+  return 'B';
+}
+
+/**
+ * [encode content as an Epson CODE128 payload ({A / {B / {C code sets)]
+ * Code set C is used for runs of 4 or more digits (or a payload of only 2 digits),
+ * FNC1 is written for a leading gs1 flag and for every ASCII GS (\x1d) in content.
+ *
+ * @usage
+ *   encodeCode128('12345678') => '{C' + bytes 12 34 56 78
+ *   encodeCode128('0101234567890128\x1d10ABC', { gs1: true })
+ *
+ * @param  {[String]} content [mandatory]
+ * @param  {[Object]} options [optional] { gs1 }
+ * @return {[Buffer]} payload without the length byte
+ */
+export function encodeCode128(content, options = {}) {
+  const chars = String(content).split('');
+  chars.forEach((c) => {
+    if (c.charCodeAt(0) > 127) {
+      throw new RangeError(`CODE128 cannot encode character ${JSON.stringify(c)}, only ASCII 0-127 is supported`);
+    }
+  });
+
+  const out = [];
+  const push = (str) => {
+    for (let k = 0; k < str.length; k++) out.push(str.charCodeAt(k));
+  };
+  let set = null;
+  const switchTo = (next) => {
+    if (set !== next) push(`{${next}`);
+    set = next;
+  };
+
+  if (options.gs1) {
+    // FNC1 in first position must follow the start character
+    const run = digitRun(chars, 0);
+    switchTo(run >= 2 ? 'C' : pickTextSet(chars, 0));
+    push('{1');
+  }
+
+  let i = 0;
+  while (i < chars.length) {
+    const c = chars[i];
+    if (c === FNC1) {
+      if (set === null) switchTo(digitRun(chars, 1) >= 4 ? 'C' : pickTextSet(chars, 1));
+      push('{1');
+      i++;
+      continue;
+    }
+
+    const run = digitRun(chars, i);
+    const useC = (run >= 4) || (run === 2 && i === 0 && chars.length === 2) || (set === 'C' && run >= 2);
+    if (useC) {
+      let count = run;
+      if (run % 2 === 1) {
+        count--;
+        // odd runs keep their first digit in the text set, or their last one when already in C
+        if (set !== 'C') {
+          switchTo(set || pickTextSet(chars, i));
+          push(c);
+          i++;
+        }
+      }
+      switchTo('C');
+      for (let k = 0; k < count; k += 2, i += 2) out.push(parseInt(chars[i] + chars[i + 1], 10));
+      continue;
+    }
+
+    if (set === 'C' || set === null) switchTo(pickTextSet(chars, i));
+    else if (set === 'A' && !inSetA(c)) switchTo('B');
+    else if (set === 'B' && !inSetB(c)) switchTo('A');
+    push(c === '{' ? '{{' : c);
+    i++;
+  }
+
+  if (set === null) switchTo('B');
+  return Buffer.from(out);
+}
+
+/**
+ * [BarcodeError thrown when content is not valid for the barcode symbology]
+ * @param {[String]} type  barcode type, e.g. EAN13
+ * @param {[String]} rule  the rule that was broken
+ * @param {[String]} value the offending content
+ */
+export class BarcodeError extends Error {
+  constructor(type, rule, value) {
+    super(`Invalid ${type} barcode ${JSON.stringify(value)}: ${rule}`);
+    this.name = 'BarcodeError';
+    this.type = type;
+    this.rule = rule;
+    this.value = value;
+  }
+}
+
+// UPC-E number system + 6 digits expanded to the 11 UPC-A data digits
+function expandUpcE(numberSystem, d) {
+  const last = d[5];
+  if (last <= '2') return `${numberSystem}${d[0]}${d[1]}${last}0000${d[2]}${d[3]}${d[4]}`;
+  if (last === '3') return `${numberSystem}${d[0]}${d[1]}${d[2]}00000${d[3]}${d[4]}`;
+  if (last === '4') return `${numberSystem}${d[0]}${d[1]}${d[2]}${d[3]}00000${d[4]}`;
+  return `${numberSystem}${d[0]}${d[1]}${d[2]}${d[3]}${d[4]}0000${last}`;
+}
+
+const CODE39_CHARSET = /^[0-9A-Z $%+\-./]*$/;
+const NW7_CHARSET = /^[0-9$+\-./:]*$/;
+
+/**
+ * [check barcode content against the rules of its symbology]
+ * Throws a BarcodeError naming the type, the broken rule and the value.
+ *
+ * @param  {[String]} type    [mandatory] UPC_A, UPC_E, EAN13, EAN8, CODE39, ITF, NW7, CODE93, CODE128
+ * @param  {[String]} code    [mandatory]
+ * @param  {[Object]} options [optional] { includeParity }
+ * @return {[String]} code
+ */
+export function validateBarcode(type, code, options = {}) {
+  const includeParity = options.includeParity !== false;
+  const fail = (rule) => {
+    throw new BarcodeError(type, rule, code);
+  };
+  const digitsOnly = () => {
+    if (!/^[0-9]+$/.test(code)) fail('must contain digits only');
+  };
+  const verify = (data, digit) => {
+    const expected = getParityBit(data);
+    if (digit !== expected) fail(`check digit should be ${expected}, got ${digit}`);
+  };
+
+  switch (type) {
+    case 'UPC_A':
+      digitsOnly();
+      if (code.length !== 11 && code.length !== 12) fail('must be 11 digits, or 12 with check digit');
+      if (code.length === 12) verify(code.slice(0, 11), code[11]);
+      break;
+    case 'UPC_E':
+      digitsOnly();
+      if ([6, 7, 8, 11, 12].indexOf(code.length) < 0) fail('must be 6, 7, 8, 11 or 12 digits');
+      if (code.length !== 6 && code[0] !== '0') fail('number system must be 0');
+      if (code.length === 8) verify(expandUpcE(code[0], code.slice(1, 7)), code[7]);
+      if (code.length === 12) verify(code.slice(0, 11), code[11]);
+      break;
+    case 'EAN13':
+    case 'EAN8': {
+      const length = type === 'EAN13' ? 13 : 8;
+      digitsOnly();
+      if (includeParity) {
+        if (code.length !== length - 1) fail(`must be ${length - 1} digits, the check digit is added (includeParity)`);
+      } else {
+        if (code.length !== length) fail(`must be ${length} digits including the check digit when includeParity is false`);
+        verify(code.slice(0, length - 1), code[length - 1]);
+      }
+      break;
+    }
+    case 'CODE39': {
+      const body = code.replace(/^\*(.*)\*$/, '$1');
+      if (!body.length) fail('must not be empty');
+      if (!CODE39_CHARSET.test(body)) fail('allowed characters are 0-9, A-Z, space and $ % + - . /, with * only as start/stop');
+      break;
+    }
+    case 'ITF':
+      digitsOnly();
+      if (code.length % 2 !== 0) fail('must have an even number of digits');
+      break;
+    case 'NW7':
+      if (!/^[A-Da-d].*[A-Da-d]$/.test(code) || code.length < 3) fail('must start and end with a start/stop character A-D');
+      if (!NW7_CHARSET.test(code.slice(1, -1))) fail('allowed characters between start/stop are 0-9 and $ + - . / :');
+      break;
+    case 'CODE93':
+    case 'CODE128':
+      if (!code.length) fail('must not be empty');
+      if (code.length > 255) fail('must be at most 255 characters');
+      if (code.split('').some((c) => c.charCodeAt(0) > 127)) fail('only ASCII characters 0-127 are allowed');
+      break;
+    default:
+      fail('unsupported barcode type');
+  }
+  return code;
+}
@@ -0,0 +1,281 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import { PrintQueue } from "./queue";
+import { NetworkTransport } from "./transport";
+
+/**
+ * Print bridge, Node only: browsers cannot open TCP sockets, so a web POS
+ * sends its jobs here over HTTP or WebSocket and the bridge forwards them to
+ * the configured printers through a PrintQueue. Only printers named in the
+ * configuration can be reached, and every request must carry the shared token.
+ *
+ * @usage
+ *   const bridge = createBridge({
+ *     token: process.env.BRIDGE_TOKEN,
+ *     printers: {
+ *       kitchen: { host: '192.168.1.50', printer: { profile: 'epson-tm-t88' } },
+ *       bar: { transport: new NetworkTransport('192.168.1.51', 9100) },
+ *     },
+ *   });
+ *   await bridge.listen(8080);
+ *
+ * HTTP, token in `Authorization: Bearer <token>` or `?token=`:
+ *   POST /print/:printer   raw bytes, or JSON { template, data }; ?wait=1 answers once printed
+ *   GET  /jobs/:id         job status
+ *   GET  /printers         printer names
+ *
+ * WebSocket, ws://host:port/?token=<token>, needs the `ws` package:
+ *   => { type: 'print', ref, printer, data: base64 } or { type: 'print', ref, printer, template, data }
+ *   <= { type: 'job', ref, id, printer, status, attempts, error } for queued, printing, done and failed
+ *   <= { type: 'error', ref, error }
+ */
+
+const FINISHED = ['done', 'failed'];
+
+/**
+ * [BridgeError carries the HTTP status of a rejected request]
+ * @param {[Number]} status
+ * @param {[String]} message
+ */
+export class BridgeError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'BridgeError';
+    this.status = status;
+  }
+}
+
+function summary(job) {
+  return {
+    id: job.id,
+    printer: job.device,
+    status: job.status,
+    attempts: job.attempts,
+    error: job.error ? job.error.message : null,
+  };
+}
+
+function readBody(request, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', (chunk) => {
+      // past the limit the rest is only drained, so the client gets the 413
+      if (size > limit) return;
+      size += chunk.length;
+      if (size > limit) {
+        chunks.length = 0;
+        reject(new BridgeError(413, `Job is larger than ${limit} bytes`));
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks)));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * [function create a print bridge server]
+ * @param  {[Object]} options [mandatory]
+ *   token:       shared secret every client sends, required
+ *   printers:    name => { host, port, options } for a NetworkTransport, or { transport },
+ *                plus printer: Printer options used to render templates
+ *   queue:       PrintQueue options, or a PrintQueue
+ *   origin:      Access-Control-Allow-Origin for browsers, default '*'
+ *   maxBodySize: largest job in bytes, default 5 MB
+ *   websocket:   accept WebSocket clients, default true
+ *   Printer:     class that renders templates, passed in by the createBridge of lib/index.js
+ * @return {[Object]} { server, queue, listen(port, host), close() }
+ */
+export function createBridge(options) {
+  if (!options || !options.token) throw new TypeError('createBridge requires a shared token');
+  const http = require('http');
+  const crypto = require('crypto');
+  const { origin = '*', maxBodySize = 5 * 1024 * 1024 } = options;
+  const printers = options.printers || {};
+  const queue = options.queue instanceof PrintQueue ? options.queue : new PrintQueue(options.queue);
+  const jobs = new Map();
+  const watchers = new Map();
+
+  Object.keys(printers).forEach((name) => {
+    const config = printers[name];
+    queue.addDevice(name, config.transport || new NetworkTransport(config.host, config.port, config.options));
+  });
+
+  ['queued', 'printing', 'retry', 'done', 'failed'].forEach((event) => queue.on(event, (job) => {
+    const previous = jobs.get(job.id);
+    const next = summary(job);
+    // the job may have moved on before submit() recorded it
+    if (!previous || (previous.status === next.status && previous.attempts === next.attempts)) return;
+    jobs.set(job.id, next);
+    (watchers.get(job.id) || []).forEach((watch) => watch(jobs.get(job.id)));
+    if (FINISHED.indexOf(job.status) >= 0) {
+      watchers.delete(job.id);
+      // keep the status of the last finished jobs around for GET /jobs/:id
+      const finished = Array.from(jobs.values()).filter((j) => FINISHED.indexOf(j.status) >= 0);
+      if (finished.length > 1000) jobs.delete(finished[0].id);
+    }
+  }));
+
+  const authorized = (token) => {
+    const expected = Buffer.from(String(options.token));
+    const given = Buffer.from(String(token || ''));
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  const watch = (id, listener) => watchers.set(id, (watchers.get(id) || []).concat(listener));
+
+  // bytes of a job: raw bytes, or a template rendered for the printer
+  const render = (name, body) => {
+    if (!Object.prototype.hasOwnProperty.call(printers, name)) {
+      throw new BridgeError(403, `Printer ${name} is not allowed`);
+    }
+    if (Buffer.isBuffer(body)) return body;
+    if (body.template !== undefined) {
+      if (!options.Printer) throw new BridgeError(501, 'This bridge cannot render templates');
+      const printer = new options.Printer({ encoding: 'GB18030', width: 48, ...printers[name].printer });
+      return printer.template(body.template, body.data).buffer.flush(true);
+    }
+    if (typeof body.data === 'string') return Buffer.from(body.data, 'base64');
+    throw new BridgeError(400, 'A job needs raw bytes, base64 data or a template');
+  };
+
+  const submit = async (name, body) => {
+    const job = await queue.add(name, render(name, body));
+    if (!jobs.has(job.id)) jobs.set(job.id, summary(job));
+    return job;
+  };
+
+  const send = (response, status, body) => {
+    response.writeHead(status, {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': origin,
+    });
+    response.end(JSON.stringify(body));
+  };
+
+  const handle = async (request, response) => {
+    const url = new URL(request.url, 'http://bridge');
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, {
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Allow-Methods': 'GET, POST',
+        'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+      });
+      return response.end();
+    }
+    const header = /^Bearer (.+)$/.exec(request.headers.authorization || '');
+    if (!authorized(header ? header[1] : url.searchParams.get('token'))) {
+      throw new BridgeError(401, 'Invalid token');
+    }
+    const [, route, name] = url.pathname.split('/').map(decodeURIComponent);
+    if (request.method === 'GET' && route === 'printers' && name === undefined) {
+      return send(response, 200, { printers: Object.keys(printers) });
+    }
+    if (request.method === 'GET' && route === 'jobs' && name) {
+      if (!jobs.has(name)) throw new BridgeError(404, `Unknown job ${name}`);
+      return send(response, 200, jobs.get(name));
+    }
+    if (request.method === 'POST' && route === 'print' && name) {
+      const body = await readBody(request, maxBodySize);
+      const json = /json/.test(request.headers['content-type'] || '');
+      let document = body;
+      if (json) {
+        try {
+          document = JSON.parse(body.toString('utf8'));
+        } catch (e) {
+          throw new BridgeError(400, `Invalid JSON: ${e.message}`);
+        }
+      }
+      const job = await submit(name, document);
+      const answer = (status) => send(response, status.status === 'done' ? 200 : 502, status);
+      if (!url.searchParams.get('wait')) return send(response, 202, jobs.get(job.id));
+      if (FINISHED.indexOf(job.status) >= 0) return answer(jobs.get(job.id));
+      return watch(job.id, (status) => {
+        if (FINISHED.indexOf(status.status) >= 0) answer(status);
+      });
+    }
+    throw new BridgeError(404, `No route for ${request.method} ${url.pathname}`);
+  };
+
+  const server = http.createServer((request, response) => {
+    handle(request, response).catch((error) => {
+      if (response.headersSent) return;
+      // a request body that was cut short cannot be followed by another request
+      if (error.status === 413) response.setHeader('Connection', 'close');
+      send(response, error.status || 500, { error: error.message });
+    });
+  });
+
+  let sockets = null;
+  if (options.websocket !== false) {
+    let WebSocket = null;
+    try {
+      WebSocket = require('ws');
+    } catch (e) {
+      console.warn('Install the ws package to accept WebSocket clients, the bridge serves HTTP only');
+    }
+    if (WebSocket) {
+      sockets = new WebSocket.Server({
+        server,
+        verifyClient: ({ req }) => authorized(new URL(req.url, 'http://bridge').searchParams.get('token')),
+      });
+      sockets.on('connection', (socket) => {
+        const reply = (message) => {
+          if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+        };
+        socket.on('message', async (raw) => {
+          let message = {};
+          try {
+            message = JSON.parse(raw.toString());
+            if (message.type === 'job') {
+              if (!jobs.has(message.id)) throw new BridgeError(404, `Unknown job ${message.id}`);
+              return reply({ type: 'job', ref: message.ref, ...jobs.get(message.id) });
+            }
+            if (message.type !== 'print') throw new BridgeError(400, `Unknown message type ${message.type}`);
+            const job = await submit(message.printer, message);
+            reply({ type: 'job', ref: message.ref, ...jobs.get(job.id) });
+            if (FINISHED.indexOf(jobs.get(job.id).status) < 0) {
+              watch(job.id, (status) => reply({ type: 'job', ref: message.ref, ...status }));
+            }
+          } catch (error) {
+            reply({ type: 'error', ref: message.ref, error: error.message });
+          }
+        });
+      });
+    }
+  }
+
+  return {
+    server,
+    queue,
+    /**
+     * [start accepting clients]
+     * @param  {[Number]} port [mandatory]
+     * @param  {[String]} host [optional]
+     * @return {[Promise]}
+     */
+    listen(port, host) {
+      return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          server.removeListener('error', reject);
+          resolve(server.address());
+        });
+      });
+    },
+    /**
+     * [stop accepting clients, queued jobs keep printing]
+     * @return {[Promise]}
+     */
+    close() {
+      if (sockets) {
+        sockets.clients.forEach((socket) => socket.terminate());
+        sockets.close();
+      }
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
@@ -0,0 +1,217 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import iconv from "iconv-lite";
+
+/**
+ * Single-byte code page encoding. Text is split into runs that each fit one
+ * character code table, so a line mixing é, € and Cyrillic only switches
+ * tables (ESC t n) where it has to. Characters no table can print are
+ * transliterated, or replaced with '?'.
+ */
+
+// code page name => Epson ESC t table number, for printers without a profile table
+export const CODE_PAGES = {
+  CP437: 0,
+  CP850: 2,
+  CP860: 3,
+  CP863: 4,
+  CP865: 5,
+  CP1252: 16,
+  CP866: 17,
+  CP852: 18,
+  CP858: 19,
+};
+
+// Epson ESC t table number => code page name
+export const CODE_TABLES = Object.keys(CODE_PAGES).reduce((tables, name) => {
+  tables[CODE_PAGES[name]] = name;
+  return tables;
+}, {});
+
+/**
+ * [initial decoding state for a buffer written with the given encoding]
+ * Used to read buffers back: text after ESC t n is decoded with table n.
+ * @param  {[Object]} options { encoding, codePages }
+ * @return {[Object]} { encoding, codePages }
+ */
+export function decodingState(options = {}) {
+  const encoding = options.encoding || 'GB18030';
+  const auto = String(encoding).toUpperCase() === 'AUTO';
+  const codePages = options.codePages || (auto ? CODE_TABLES : null);
+  return { encoding: auto ? codePages[Object.keys(codePages)[0]] : encoding, codePages };
+}
+
+// replacements for characters missing from every available table
+const TRANSLITERATIONS = {
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  'ß': 'ss',
+  'ẞ': 'SS',
+  'æ': 'ae',
+  'Æ': 'AE',
+  'œ': 'oe',
+  'Œ': 'OE',
+  'ø': 'o',
+  'Ø': 'O',
+  'ł': 'l',
+  'Ł': 'L',
+  'đ': 'd',
+  'Đ': 'D',
+  'þ': 'th',
+  'Þ': 'TH',
+  '‘': "'",
+  '’': "'",
+  '‚': ',',
+  '“': '"',
+  '”': '"',
+  '„': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  '•': '*',
+  '™': 'TM',
+  '©': '(C)',
+  '®': '(R)',
+  '\u00a0': ' ',
+};
+
+const cache = {};
+
+// whether a code page has the character: encoding must round trip
+function canEncode(codePage, char) {
+  const key = codePage + char;
+  if (!(key in cache)) {
+    cache[key] = iconv.decode(iconv.encode(char, codePage), codePage) === char;
+  }
+  return cache[key];
+}
+
+/**
+ * [replace a character no code page has with a close ASCII spelling]
+ * @param  {[String]} char
+ * @return {[String]} replacement, '?' when nothing is close
+ */
+export function transliterate(char) {
+  if (TRANSLITERATIONS[char]) return TRANSLITERATIONS[char];
+  // strip accents: é => e + combining acute => e
+  const base = char.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  return base && base !== char && /^[\x20-\x7e]+$/.test(base) ? base : '?';
+}
+
+/**
+ * [split text into runs that each encode in one code table]
+ *
+ * Keeps the current table while it has the next character, otherwise picks
+ * the table that covers the longest run ahead.
+ *
+ * @usage
+ *   encodeCodePages('Café 5€', { tables: { 0: 'CP437', 19: 'CP858' }, current: 0 })
+ *   => { segments: [{ table: 0, bytes }, { table: 19, bytes }], table: 19 }
+ *
+ * @param  {[String]} text    [mandatory]
+ * @param  {[Object]} options [mandatory] { tables: { number: name }, current }
+ * @return {[Object]} { segments: [{ table, bytes }], table }
+ */
+export function encodeCodePages(text, options) {
+  const tables = Object.keys(options.tables)
+    .map(Number)
+    .filter((n) => iconv.encodingExists(options.tables[n]));
+  if (!tables.length) throw new RangeError('No supported code page to encode text with');
+  let current = options.current == null ? null : Number(options.current);
+  if (tables.indexOf(current) < 0) current = null;
+
+  // characters that no table has are transliterated first
+  const chars = [];
+  Array.from(String(text)).forEach((char) => {
+    if (tables.some((n) => canEncode(options.tables[n], char))) chars.push(char);
+    else Array.from(transliterate(char)).forEach((c) => chars.push(c));
+  });
+
+  const runLength = (table, from) => {
+    let i = from;
+    while (i < chars.length && canEncode(options.tables[table], chars[i])) i++;
+    return i - from;
+  };
+
+  const segments = [];
+  let i = 0;
+  while (i < chars.length) {
+    let table = current;
+    let length = table === null ? 0 : runLength(table, i);
+    if (!length) {
+      tables.forEach((n) => {
+        const run = runLength(n, i);
+        if (run > length) {
+          table = n;
+          length = run;
+        }
+      });
+    }
+    if (!length) {
+      // a transliteration can itself be missing from every table
+      table = current === null ? tables[0] : current;
+      segments.push({ table, bytes: Buffer.from('?') });
+      current = table;
+      i++;
+      continue;
+    }
+    const bytes = iconv.encode(chars.slice(i, i + length).join(''), options.tables[table]);
+    const last = segments[segments.length - 1];
+    if (last && last.table === table) last.bytes = Buffer.concat([last.bytes, bytes]);
+    else segments.push({ table, bytes });
+    current = table;
+    i += length;
+  }
+  return { segments, table: current };
+}
+
+// double-byte encoding => code system of the printer's Kanji / Chinese mode
+const CODE_SYSTEMS = {
+  GB18030: 'GB18030',
+  GBK: 'GB18030',
+  CP936: 'GB18030',
+  GB2312: 'GB2312',
+  EUCCN: 'GB2312',
+  BIG5: 'BIG5',
+  BIG5HKSCS: 'BIG5',
+  CP950: 'BIG5',
+  SHIFTJIS: 'SHIFT_JIS',
+  SJIS: 'SHIFT_JIS',
+  CP932: 'SHIFT_JIS',
+  WINDOWS31J: 'SHIFT_JIS',
+  EUCKR: 'KSC5601',
+  KSC5601: 'KSC5601',
+  KSC: 'KSC5601',
+  KSX1001: 'KSC5601',
+  CP949: 'KSC5601',
+};
+
+/**
+ * [iconv encoding text is written in for each double-byte code system]
+ * @type {Object}
+ */
+export const CODE_SYSTEM_ENCODINGS = {
+  GB18030: 'GB18030',
+  GB2312: 'GB2312',
+  BIG5: 'Big5',
+  SHIFT_JIS: 'Shift_JIS',
+  KSC5601: 'EUC-KR',
+};
+
+/**
+ * [code system a double-byte encoding is printed with]
+ *
+ * @usage
+ *   codeSystemOf('gb18030') => 'GB18030'
+ *   codeSystemOf('Shift_JIS') => 'SHIFT_JIS'
+ *   codeSystemOf('KS C 5601') => 'KSC5601'
+ *   codeSystemOf('CP437') => null
+ *
+ * @param  {[String]} encoding [mandatory] an iconv encoding
+ * @return {[String]} GB18030, GB2312, BIG5, SHIFT_JIS, KSC5601, or null for single-byte encodings
+ */
+export function codeSystemOf(encoding) {
+  return CODE_SYSTEMS[String(encoding).toUpperCase().replace(/[-_\s]/g, '')] || null;
+}
@@ -62,6 +62,27 @@ const { Buffer } = require('buffer')
     HW_RESET: '\x1b\x3f\x0a\x00', // Reset printer hardware
   };
   
+  /**
+   * [STATUS Real-time status transmission and Automatic Status Back]
+   * @type {Object}
+   */
+  export const STATUS = {
+    RT_PRINTER: '\x10\x04\x01', // DLE EOT 1 - printer status
+    RT_OFFLINE: '\x10\x04\x02', // DLE EOT 2 - offline cause status
+    RT_ERROR: '\x10\x04\x03', // DLE EOT 3 - error cause status
+    RT_PAPER: '\x10\x04\x04', // DLE EOT 4 - roll paper sensor status
+    RT_REQUEST: function (n) { // DLE EOT n [1-4]
+      return DLE + EOT + String.fromCharCode(n);
+    },
+    ASB: function (n) { // GS a n - enable/disable Automatic Status Back
+      return '\x1d\x61' + String.fromCharCode(n & 0xff);
+    },
+    ASB_DRAWER: 0x01, // ASB flag: drawer kick-out connector pin 3
+    ASB_ONLINE: 0x02, // ASB flag: online/offline status
+    ASB_ERROR: 0x04, // ASB flag: error status
+    ASB_PAPER: 0x08, // ASB flag: roll paper sensor status
+  };
+
   /**
    * [CASH_DRAWER Cash Drawer]
    * @type {Object}
@@ -69,6 +90,8 @@ const { Buffer } = require('buffer')
   export const CASH_DRAWER = {
     CD_KICK_2: '\x1b\x70\x00\x19\x78', // Sends a pulse to pin 2 []
     CD_KICK_5: '\x1b\x70\x01\x19\x78', // Sends a pulse to pin 5 []
+    STAR_CD_KICK_1: '\x07', // STAR printer - BEL, drive peripheral device 1
+    STAR_CD_KICK_2: '\x1a', // STAR printer - SUB, drive peripheral device 2
   };
   
   /**
@@ -91,6 +114,7 @@ const { Buffer } = require('buffer')
     PAPER_CUT_A: '\x1d\x56\x41', // Partial cut paper
     PAPER_CUT_B: '\x1d\x56\x42', // Partial cut paper
     STAR_FULL_CUT: '\x1B\x64\x02' , // STAR printer - Full cut
+    STAR_PART_CUT: '\x1B\x64\x03', // STAR printer - Partial cut
   };
   
   /**
@@ -105,6 +129,12 @@ const { Buffer } = require('buffer')
     TXT_4SQUARE: '\x1b\x21\x30', // Double width & height text
     STAR_TXT_EMPHASIZED: '\x1B\x45', // STAR printer - Select emphasized printing
     STAR_CANCEL_TXT_EMPHASIZED: '\x1B\x46', // STAR printer - Cancel emphasized printing
+    STAR_CODE_TABLE: '\x1B\x1D\x74', // STAR printer - ESC GS t n select code page
+    STAR_TXT_SIZE: function(width, height) { // STAR printer - ESC i n1 n2 character expansion [1-6]
+      width = Math.min(Math.max(width, 1), 6);
+      height = Math.min(Math.max(height, 1), 6);
+      return '\x1B\x69' + String.fromCharCode(height - 1) + String.fromCharCode(width - 1);
+    },
   
     TXT_CUSTOM_SIZE: function(width, height) { // other sizes
       width = width > 8 ? 8 : width;
@@ -165,7 +195,24 @@ const { Buffer } = require('buffer')
     STAR_TXT_ALIGN_CA: '\x1B\x1D\x61\x01', // STAR printer - Center alignment
     STAR_TXT_ALIGN_RA: '\x1B\x1D\x61\x02', // STAR printer - Right alignment
   };
-  
+
+  /**
+   * [KANJI Double-byte (Kanji / Chinese) character mode]
+   * @type {Object}
+   */
+  export const KANJI = {
+    KANJI_ON: '\x1c\x26', // FS & - Enter double-byte mode
+    KANJI_OFF: '\x1c\x2e', // FS . - Leave double-byte mode
+    KANJI_CODE_SYSTEM: '\x1c\x43', // FS C n - Select character code system
+    KANJI_MODE: '\x1c\x21', // FS ! n - Double-byte print mode
+    KANJI_UNDERLINE: '\x1c\x2d', // FS - n - Double-byte underline, 0-2 dots
+    KANJI_SPACING: '\x1c\x53', // FS S n1 n2 - Left and right double-byte spacing
+    KANJI_QUADRUPLE: '\x1c\x57', // FS W n - Double-byte quadruple size
+    MODE_2WIDTH: 0x04, // FS ! bit 2
+    MODE_2HEIGHT: 0x08, // FS ! bit 3
+    MODE_UNDERLINE: 0x80, // FS ! bit 7
+  };
+
   /**
    * Qsprinter-compatible
    * Added by Attawit Kittikrairit
@@ -215,6 +262,41 @@ const { Buffer } = require('buffer')
         }
       },
     },
+    /**
+     * Star Line Mode (TSP100, TSP650, ...)
+     */
+    STAR: {
+      BARCODE: {
+        CMD: '\x1b\x62', // ESC b n1 n2 n3 n4 d1...dk RS
+        END: '\x1e',
+        TYPE: {
+          UPC_E: '\x30',
+          UPC_A: '\x31',
+          EAN8: '\x32',
+          EAN13: '\x33',
+          CODE39: '\x34',
+          ITF: '\x35',
+          CODE128: '\x36',
+          CODE93: '\x37',
+          NW7: '\x38',
+        },
+        HRI: {
+          OFF: '\x31', // No characters, line feed after the barcode
+          BLW: '\x32', // Characters below the barcode, line feed after the barcode
+        },
+        MODE: { MIN: 1, MAX: 3 }, // module width 2, 3 or 4 dots
+      },
+      QRCODE: {
+        MODEL: '\x1b\x1d\x79\x53\x30', // ESC GS y S 0 n - model 1 or 2
+        LEVEL: '\x1b\x1d\x79\x53\x31', // ESC GS y S 1 n - error correction level
+        SIZE: '\x1b\x1d\x79\x53\x32', // ESC GS y S 2 n - cell size
+        STORE: '\x1b\x1d\x79\x44\x31\x00', // ESC GS y D 1 m nL nH d1...dk - auto analysis
+        PRINT: '\x1b\x1d\x79\x50', // ESC GS y P
+        LEVELS: { L: 0, M: 1, Q: 2, H: 3 },
+        CELL_SIZE: { MIN: 1, MAX: 8, DEFAULT: 6 },
+      },
+      RASTER: '\x1b\x1d\x53\x01', // ESC GS S 1 xL xH yL yH n d1...dk - binary raster image
+    },
   };
   
   /**
@@ -269,6 +351,99 @@ const { Buffer } = require('buffer')
     QR_LEVEL_Q: 'Q', // correct level 25%
     QR_LEVEL_H: 'H'  // correct level 30%
   };
+
+  /**
+   * [CODE2D_FUNCTION GS ( k pL pH cn fn [params] - standard 2D symbol functions]
+   * @param  {[Number]} cn     symbol type (0x31 QR, 0x30 PDF417, ...)
+   * @param  {[Number]} fn     function code
+   * @param  {[Number|Buffer|Array]} params
+   * @return {[Buffer]}
+   */
+  export const CODE2D_FUNCTION = function (cn, fn, ...params) {
+    const data = Buffer.concat(params.map((p) => Buffer.from(typeof p === 'number' ? [p] : p)));
+    const len = data.length + 2;
+    return Buffer.concat([
+      Buffer.from([0x1d, 0x28, 0x6b, len & 0xff, (len >> 8) & 0xff, cn, fn]),
+      data
+    ]);
+  };
+
+  /**
+   * [QRCODE_FORMAT GS ( k QR code, functions 165-181]
+   * @type {Object}
+   */
+  export const QRCODE_FORMAT = {
+    CN: 0x31,
+    FN_MODEL: 0x41, // function 165 - select model
+    FN_SIZE: 0x43, // function 167 - module size
+    FN_LEVEL: 0x45, // function 169 - error correction level
+    FN_STORE: 0x50, // function 180 - store data in symbol area
+    FN_PRINT: 0x51, // function 181 - print stored symbol
+    MODEL: {
+      1: 0x31,
+      2: 0x32,
+      MICRO: 0x33,
+    },
+    LEVEL: {
+      L: 0x30, // correct level 7%
+      M: 0x31, // correct level 15%
+      Q: 0x32, // correct level 25%
+      H: 0x33, // correct level 30%
+    },
+    SIZE: {
+      MIN: 1,
+      MAX: 16,
+      DEFAULT: 6,
+    },
+    MAX_LENGTH: 7089,
+  };
+
+  /**
+   * [PDF417_FORMAT GS ( k PDF417, functions 065-081]
+   * @type {Object}
+   */
+  export const PDF417_FORMAT = {
+    CN: 0x30,
+    FN_COLUMNS: 0x41, // function 065 - number of columns
+    FN_ROWS: 0x42, // function 066 - number of rows
+    FN_WIDTH: 0x43, // function 067 - module width
+    FN_HEIGHT: 0x44, // function 068 - row height
+    FN_LEVEL: 0x45, // function 069 - error correction level
+    FN_OPTIONS: 0x46, // function 070 - standard / truncated
+    FN_STORE: 0x50, // function 080 - store data in symbol area
+    FN_PRINT: 0x51, // function 081 - print stored symbol
+    COLUMNS: { MIN: 0, MAX: 30, DEFAULT: 0 }, // 0 = automatic
+    ROWS: { MIN: 3, MAX: 90, DEFAULT: 0 }, // 0 = automatic
+    WIDTH: { MIN: 2, MAX: 8, DEFAULT: 3 },
+    HEIGHT: { MIN: 2, MAX: 8, DEFAULT: 3 },
+    LEVEL: { MIN: 0, MAX: 8, DEFAULT: 1 }, // error correction level 0-8
+    RATIO: { MIN: 1, MAX: 40 }, // error correction ratio n * 10%
+    LEVEL_BY_LEVEL: 0x30,
+    LEVEL_BY_RATIO: 0x31,
+    MAX_LENGTH: 65532,
+  };
+
+  /**
+   * [DATAMATRIX_FORMAT GS ( k DataMatrix (ECC200), functions 265-281]
+   * @type {Object}
+   */
+  export const DATAMATRIX_FORMAT = {
+    CN: 0x36,
+    FN_TYPE: 0x42, // function 265 - symbol type, columns and rows
+    FN_SIZE: 0x43, // function 267 - module size
+    FN_STORE: 0x50, // function 280 - store data in symbol area
+    FN_PRINT: 0x51, // function 281 - print stored symbol
+    SHAPE: {
+      SQUARE: 0x00,
+      RECTANGLE: 0x01,
+    },
+    // 0 = automatic
+    SQUARE_SIZES: [0, 10, 12, 14, 16, 18, 20, 22, 24, 26, 32, 36, 40, 44, 48, 52, 64, 72, 80, 88, 96, 104, 120, 132, 144],
+    // [columns, rows]
+    RECTANGLE_SIZES: [[0, 0], [18, 8], [32, 8], [26, 12], [36, 12], [36, 16], [48, 16]],
+    SIZE: { MIN: 2, MAX: 16, DEFAULT: 3 },
+    MAX_LENGTH: 3116,
+  };
   
   /**
    * [IMAGE_FORMAT Image format]
@@ -0,0 +1,160 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import iconv from "iconv-lite";
+import * as _ from "./commands";
+import { tokenize, COMMANDS } from "./parser";
+import { decodingState } from "./codepages";
+
+/**
+ * ESC/POS disassembler. Names every command after the constant in
+ * commands.js that produces it, so a trace reads like the code that wrote it.
+ */
+
+const PREFIXES = Object.keys(COMMANDS).map(Number).concat([0x07, 0x09, 0x0a, 0x0b, 0x0c, 0x0d, 0x1a]);
+
+let table = null;
+
+// walk commands.js once: byte sequence => constant name, command => function name
+function buildTable() {
+  const sequences = new Map();
+  const functions = {};
+  const formats = [];
+  const leaves = [];
+  const walk = (value, path) => {
+    if (typeof value === 'string' || Buffer.isBuffer(value)) {
+      leaves.push({ path, bytes: Buffer.from(value, 'latin1').toString('latin1') });
+    } else if (typeof value === 'function') {
+      // command builders are named by the command their output starts with
+      try {
+        const model = path.some((key) => /STAR/.test(key)) ? 'star' : null;
+        const [token] = tokenize(Buffer.from(value(1, 1), 'latin1'), { model });
+        if (token && token.command) leaves.push({ path, command: token.command });
+      } catch (e) {
+        // not a command builder
+      }
+    } else if (value && typeof value === 'object') {
+      if (typeof value.CN === 'number') formats.push({ path, format: value });
+      Object.keys(value).forEach((key) => walk(value[key], path.concat(key)));
+    }
+  };
+  // sorted, so duplicated byte sequences always get the same name, the standard
+  // one: model-specific constants come last
+  Object.keys(_).sort()
+    .sort((a, b) => (a === 'MODEL') - (b === 'MODEL'))
+    .forEach((key) => walk(_[key], [key]));
+
+  const counts = {};
+  leaves.forEach(({ path }) => {
+    const leaf = path[path.length - 1];
+    counts[leaf] = (counts[leaf] || 0) + 1;
+  });
+  leaves.forEach(({ path, bytes, command }) => {
+    const leaf = path[path.length - 1];
+    // nested and repeated keys (MODEL.QSPRINTER.BARCODE_MODE.ON, COLOR.1) need their path
+    const name = path.length <= 2 && counts[leaf] === 1 && !/^\d+$/.test(leaf) ? leaf : path.join('.');
+    if (command) {
+      if (!functions[command]) functions[command] = name;
+      return;
+    }
+    // parameter values (TXT_HEIGHT, QR_LEVEL_L...) and bare prefix bytes (ESC, GS) are not commands
+    if (PREFIXES.indexOf(bytes.charCodeAt(0)) < 0) return;
+    if (bytes.length === 1 && COMMANDS[bytes.charCodeAt(0)]) return;
+    if (!sequences.has(bytes)) sequences.set(bytes, name);
+  });
+  return { sequences, functions, formats };
+}
+
+function lookup(token, bytes) {
+  table = table || buildTable();
+  if (token.truncated) {
+    // a command cut off by the end of the buffer matches constants only by accident
+    const sub = bytes.length > 2 && bytes[2] > 0x20 && bytes[2] < 0x7f
+      ? `${token.command} ${String.fromCharCode(bytes[2])}`
+      : null;
+    return (sub && table.functions[sub]) || table.functions[token.command] || null;
+  }
+  if (token.command === 'GS ( k') {
+    const [cn, fn] = token.params;
+    const match = table.formats.find(({ format }) => format.CN === cn);
+    const key = match && Object.keys(match.format).find((k) => /^FN_/.test(k) && match.format[k] === fn);
+    if (key) return match.path.concat(key).join('.');
+    return table.functions[token.command] || null;
+  }
+  const str = bytes.toString('latin1');
+  if (table.sequences.has(str)) return table.sequences.get(str);
+  // longest constant the command starts with: LS_SET for ESC 3 n, GSV0_NORMAL for a raster...
+  for (let k = str.length - 1; k >= 2; k--) {
+    if (table.sequences.has(str.slice(0, k))) return table.sequences.get(str.slice(0, k));
+  }
+  return table.functions[token.command] || null;
+}
+
+/**
+ * [decode an ESC/POS buffer into a list of commands and text runs]
+ *
+ * @usage
+ *   disassemble(Buffer.from('\x1b\x61\x01Hi\n'))
+ *   => [
+ *     { offset: 0, length: 3, command: 'ESC a', name: 'TXT_ALIGN_CT', params: [1] },
+ *     { offset: 3, length: 2, text: 'Hi' },
+ *     { offset: 5, length: 1, command: 'LF', name: 'EOL', params: [] },
+ *   ]
+ *
+ * Unknown commands carry `unknown: true`, a command cut off by the end of the
+ * buffer carries `truncated: true`. Payloads (barcode data, images) are in `data`.
+ *
+ * @param  {[Buffer]} buffer  [mandatory]
+ * Text after a code table switch (ESC t n) is decoded with that table when
+ * options.codePages maps table numbers to names, or the encoding is 'auto'.
+ *
+ * @param  {[Object]} options [optional] { encoding, codePages, model: 'star' for STAR Line Mode }
+ * @return {[Array<Object>]} entries
+ */
+export function disassemble(buffer, options = {}) {
+  buffer = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  const decoding = decodingState(options);
+  return tokenize(buffer, options).map((token) => {
+    if (token.text) {
+      return { offset: token.offset, length: token.length, text: iconv.decode(token.text, decoding.encoding) };
+    }
+    if ((token.command === 'ESC t' || token.command === 'ESC GS t') && decoding.codePages && decoding.codePages[token.params[0]]) {
+      decoding.encoding = decoding.codePages[token.params[0]];
+    }
+    const bytes = buffer.subarray(token.offset, token.offset + token.length);
+    const entry = {
+      offset: token.offset,
+      length: token.length,
+      command: token.command,
+      name: token.unknown ? null : lookup(token, bytes),
+      params: token.params,
+    };
+    if (token.data) entry.data = token.data;
+    if (token.unknown) entry.unknown = true;
+    if (token.truncated) entry.truncated = true;
+    return entry;
+  });
+}
+
+/**
+ * [format disassembled entries one per line, for logs and snapshot tests]
+ *
+ * @usage
+ *   formatTrace(disassemble(buffer))
+ *   => '0000  ESC a 1  TXT_ALIGN_CT\n0003  "Hi"\n0005  LF  EOL'
+ *
+ * @param  {[Array<Object>]} entries [mandatory] result of disassemble()
+ * @return {[String]}
+ */
+export function formatTrace(entries) {
+  return entries.map((entry) => {
+    const offset = entry.offset.toString(16).padStart(4, '0');
+    if (entry.text !== undefined) return `${offset}  ${JSON.stringify(entry.text)}`;
+    let line = [entry.command].concat(entry.params).join(' ');
+    if (entry.data) line += ` <${entry.data.length} bytes>`;
+    if (entry.name) line += `  ${entry.name}`;
+    if (entry.unknown) line += '  (unknown)';
+    if (entry.truncated) line += '  (truncated)';
+    return `${offset}  ${line}`;
+  }).join('\n');
+}
@@ -0,0 +1,121 @@
+'use strict';
+
+/**
+ * Monochrome conversion for PrintImage. Every mode works on the raw ndarray
+ * pixel data and returns one boolean per pixel, true meaning a dot is printed.
+ */
+
+export const DITHER_MODES = ['threshold', 'floyd-steinberg', 'atkinson', 'bayer'];
+
+const BAYER_4X4 = [
+  [0, 8, 2, 10],
+  [12, 4, 14, 6],
+  [3, 11, 1, 9],
+  [15, 7, 13, 5],
+];
+
+/**
+ * [luminance of every pixel, transparent pixels are blended onto white paper]
+ * @param  {[ndarray]} pixels
+ * @return {[Float32Array]}
+ */
+function luminance(pixels) {
+  const [width, height, colors] = pixels.shape;
+  const data = pixels.data;
+  const result = new Float32Array(width * height);
+  for (let i = 0, p = 0; p < result.length; i += colors, p++) {
+    const r = data[i];
+    const g = colors > 2 ? data[i + 1] : r;
+    const b = colors > 2 ? data[i + 2] : r;
+    const a = colors === 4 ? data[i + 3] : 255;
+    const lum = 0.299 * r + 0.587 * g + 0.114 * b;
+    result[p] = 255 - (a / 255) * (255 - lum);
+  }
+  return result;
+}
+
+function threshold(pixels, cutoff) {
+  const colors = pixels.shape[2];
+  const data = pixels.data;
+  const result = [];
+  for (let i = 0; i < data.length; i += colors) {
+    const r = data[i];
+    const g = colors > 2 ? data[i + 1] : r;
+    const b = colors > 2 ? data[i + 2] : r;
+    const a = colors === 4 ? data[i + 3] : 255;
+    result.push(a != 0 && !(r > cutoff && g > cutoff && b > cutoff));
+  }
+  return result;
+}
+
+// [dx, dy, weight] neighbours that receive the quantization error
+const DIFFUSION = {
+  'floyd-steinberg': {
+    divisor: 16,
+    matrix: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]],
+  },
+  atkinson: {
+    divisor: 8,
+    matrix: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]],
+  },
+};
+
+function errorDiffusion(pixels, { divisor, matrix }, cutoff) {
+  const [width, height] = pixels.shape;
+  const lum = luminance(pixels);
+  const result = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const dot = lum[i] < cutoff;
+      const error = lum[i] - (dot ? 0 : 255);
+      result[i] = dot;
+      matrix.forEach(([dx, dy, weight]) => {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny < height) lum[ny * width + nx] += error * weight / divisor;
+      });
+    }
+  }
+  return result;
+}
+
+function bayer(pixels) {
+  const [width, height] = pixels.shape;
+  const lum = luminance(pixels);
+  const result = new Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const limit = (BAYER_4X4[y % 4][x % 4] + 0.5) * 16;
+      result[y * width + x] = lum[y * width + x] < limit;
+    }
+  }
+  return result;
+}
+
+/**
+ * [convert ndarray pixels to printable dots]
+ *
+ * @usage
+ *   toMonochrome(pixels) => hard threshold at 200, same as before dithering existed
+ *   toMonochrome(pixels, { dither: 'threshold', threshold: 128 })
+ *   toMonochrome(pixels, { dither: 'floyd-steinberg' })
+ *
+ * @param  {[ndarray]} pixels  [mandatory] shape [width, height, colors]
+ * @param  {[Object]}  options [optional] { dither, threshold }
+ * @return {[Array<Boolean>]}  true where a dot is printed
+ */
+export function toMonochrome(pixels, options = {}) {
+  const mode = String(options.dither || 'threshold').toLowerCase();
+  switch (mode) {
+    case 'threshold':
+      return threshold(pixels, options.threshold == null ? 200 : options.threshold);
+    case 'floyd-steinberg':
+    case 'atkinson':
+      return errorDiffusion(pixels, DIFFUSION[mode], options.threshold == null ? 128 : options.threshold);
+    case 'bayer':
+      return bayer(pixels);
+    default:
+      throw new TypeError(`Unknown dither mode ${options.dither}. Supported: ${DITHER_MODES.join(', ')}`);
+  }
+}
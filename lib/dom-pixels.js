@@ -1,6 +1,6 @@
 const ndarray = require('ndarray')
 
-export default function defaultImage(img, w, h) {
+export default function defaultImage(img, w = img.naturalWidth || img.width, h = img.naturalHeight || img.height) {
     const canvas = document.createElement('canvas')
     canvas.width = w
     canvas.height = h
@@ -0,0 +1,314 @@
+'use strict';
+
+import * as utils from "./utils";
+import { Buffer } from "buffer";
+import { PrintImage, resizePixels } from "./image";
+import { validateBarcode } from "./barcode";
+import { codeSystemOf } from "./codepages";
+
+/**
+ * Epson ePOS-Print XML backend. EposPrinter takes the same fluent calls as
+ * Printer and records them as ePOS-Print elements instead of ESC/POS bytes,
+ * for TM-i and TM-m30 devices reached over HTTP, see EposTransport.
+ *
+ * @usage
+ *   const receipt = new EposPrinter({ encoding: 'GB18030' })
+ *     .align('ct').style('B').size(2, 2).text('ACME')
+ *     .size(1, 1).style('NORMAL').text('Thank you')
+ *     .qrcode('https://example.com')
+ *     .cut();
+ *   await receipt.send(new EposTransport('192.168.1.60'));
+ */
+
+export const EPOS_PRINT_NAMESPACE = 'http://www.epson-pos.com/schemas/2011/03/epos-print';
+
+const ALIGN = { LT: 'left', CT: 'center', RT: 'right' };
+
+const BARCODE_TYPES = {
+  UPC_A: 'upc_a',
+  UPC_E: 'upc_e',
+  EAN13: 'ean13',
+  EAN8: 'ean8',
+  CODE39: 'code39',
+  ITF: 'itf',
+  NW7: 'codabar',
+  CODE93: 'code93',
+  CODE128: 'code128',
+};
+
+const HRI = { OFF: 'none', ABV: 'above', BLW: 'below', BTH: 'both' };
+
+// text language of the double-byte code system an encoding is printed with
+const LANGUAGES = { GB18030: 'zh-cn', GB2312: 'zh-cn', BIG5: 'zh-tw', SHIFT_JIS: 'ja', KSC5601: 'ko' };
+
+/**
+ * [escape text for an XML element or attribute]
+ * Line feeds are kept as character references, other control characters are dropped.
+ * @param  {[String]} text
+ * @return {[String]}
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' })[char])
+    .replace(/\n/g, '&#10;')
+    .split('')
+    .filter((char) => char.charCodeAt(0) >= 0x20 || char === '\t')
+    .join('');
+}
+
+function element(name, attributes, content) {
+  const attrs = Object.keys(attributes)
+    .filter((key) => attributes[key] !== undefined)
+    .map((key) => ` ${key}="${escapeXml(attributes[key])}"`)
+    .join('');
+  return content === undefined ? `<${name}${attrs}/>` : `<${name}${attrs}>${escapeXml(content)}</${name}>`;
+}
+
+export class EposPrinter {
+  options;
+  encoding;
+  width;
+  transport = null;
+  elements = [];
+
+  /**
+   * [function ePOS-Print XML printer]
+   * @param {[Object]} options { encoding, width: columns, dots: printable width, lang, transport }
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  constructor(options = { encoding: 'GB18030', width: 48 }) {
+    this.options = options;
+    this.encoding = options.encoding;
+    this.width = options.width;
+    this.transport = options.transport || null;
+  }
+
+  _add(name, attributes = {}, content) {
+    this.elements.push(element(name, attributes, content));
+    return this;
+  }
+
+  _lang() {
+    return this.options.lang || LANGUAGES[codeSystemOf(this.encoding)] || 'en';
+  }
+
+  /**
+   * [function Print text with End Of Line]
+   * @param  {[String]}  content  [mandatory]
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  text(content) {
+    return this._add('text', { lang: this._lang() }, `${content}\n`);
+  }
+
+  /**
+   * [function Print text without End Of Line]
+   * @param  {[String]}  content  [mandatory]
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  pureText(content) {
+    return this._add('text', { lang: this._lang() }, String(content));
+  }
+
+  /**
+   * [function print End Of Line]
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  newLine() {
+    return this._add('feed');
+  }
+
+  /**
+   * [line feed]
+   * @param  {[Number]} n Number of lines
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  feed(n = 1) {
+    return this._add('feed', { line: n });
+  }
+
+  /**
+   * [text align]
+   * @param  {[String]} align lt | ct | rt
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  align(align) {
+    const value = ALIGN[utils.upperCase(align)];
+    if (!value) throw new RangeError(`Invalid align ${align}. Must be one of LT, CT, RT`);
+    return this._add('text', { align: value });
+  }
+
+  /**
+   * [font family]
+   * @param  {[String]} family a | b | c
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  font(family) {
+    return this._add('text', { font: `font_${family.toLowerCase()}` });
+  }
+
+  /**
+   * [font style, the same arguments as Printer.style()]
+   * ePOS-Print has no italic and a single underline thickness.
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  style(boldOrString, italic, underline) {
+    let bold = boldOrString;
+    if (typeof boldOrString === 'string') {
+      const style = utils.upperCase(boldOrString);
+      const flags = style === 'NORMAL' ? '' : style;
+      bold = flags.indexOf('B') >= 0;
+      italic = flags.indexOf('I') >= 0;
+      underline = flags.indexOf('U') >= 0;
+    }
+    if (italic) console.warn('Italic is not supported by ePOS-Print');
+    return this._add('text', { em: !!bold, ul: !!underline });
+  }
+
+  /**
+   * [font size]
+   * @param  {[Number]} width  [1-8]
+   * @param  {[Number]} height [1-8]
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  size(width, height) {
+    const clamp = (n) => Math.min(Math.max(n, 1), 8);
+    return this._add('text', { width: clamp(width), height: clamp(height) });
+  }
+
+  /**
+   * [barcode, the same arguments as Printer.barcode()]
+   * CODE128 data without a {A, {B or {C code set prefix is printed in code set B.
+   * @param  {[String]} code    [mandatory]
+   * @param  {[String]} type    [optional] UPC-A, UPC-E, EAN13, EAN8, CODE39, ITF, NW7, CODE93, CODE128
+   * @param  {[Object]} options [optional] { width, height, position: off | abv | blw | bth, font: a | b }
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  barcode(code, type = 'UPC-A', options = {}) {
+    if (type == null) throw new TypeError('barcode type is required');
+    const normalized = utils.upperCase(type).replace('-', '_');
+    const data = code.toString(10);
+    const settings = { width: 2, height: 10, position: 'blw', font: 'a', includeParity: true, ...options };
+    validateBarcode(normalized, data, settings);
+    return this._add('barcode', {
+      type: BARCODE_TYPES[normalized],
+      hri: HRI[utils.upperCase(settings.position)],
+      font: `font_${settings.font.toLowerCase()}`,
+      width: Math.min(Math.max(settings.width, 2), 6),
+      height: settings.height,
+    }, normalized === 'CODE128' && !/^\{[ABC]/.test(data) ? `{B${data.replace(/\{/g, '{{')}` : data);
+  }
+
+  /**
+   * [QR code, the same arguments as Printer.qrcode()]
+   * @param  {[String]} content [mandatory]
+   * @param  {[Number|Object]} version [optional] or options { level, size, model }
+   * @param  {[String]} level   [optional] L | M | Q | H
+   * @param  {[Number]} size    [optional] module size in dots [1-16]
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  qrcode(content, version, level, size) {
+    const options = (version !== null && typeof version === 'object') ? version : { version, level, size };
+    const qrLevel = utils.upperCase(options.level || 'L');
+    if (['L', 'M', 'Q', 'H'].indexOf(qrLevel) < 0) {
+      throw new RangeError(`Invalid QR code level ${options.level}. Must be one of L, M, Q, H`);
+    }
+    const moduleSize = options.size == null ? 6 : options.size;
+    utils.assertRange('QR code module size', moduleSize, 1, 16);
+    return this._add('symbol', {
+      type: options.model === 1 ? 'qrcode_model_1' : 'qrcode_model_2',
+      level: `level_${qrLevel.toLowerCase()}`,
+      width: moduleSize,
+      height: 0,
+      size: 0,
+    }, content);
+  }
+
+  /**
+   * [raster image, the same arguments as Printer.raster()]
+   * @param  {[PrintImage]} image   [mandatory]
+   * @param  {[String]}     mode    [optional] normal | dw | dh | dwdh, scales the image
+   * @param  {[Object]}     options [optional] { fit, dots, resize }
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  raster(image, mode = 'NORMAL', options = {}) {
+    if (!(image instanceof PrintImage)) throw new TypeError('Only escpos.getImage supported');
+    const [sx, sy] = { DW: [2, 1], DH: [1, 2], DWDH: [2, 2] }[utils.upperCase(mode)] || [1, 1];
+    if (options.fit !== false) {
+      const dots = options.dots || this.options.dots || (this.width || 48) * 12;
+      image = image.fit(Math.floor(dots / sx), { ...options, multiple: 8 });
+    }
+    if (sx !== 1 || sy !== 1) {
+      const { width, height } = image.size;
+      image = new PrintImage(resizePixels(image.pixels, width * sx, height * sy, 'nearest'), image.options);
+    }
+    const raster = image.toRaster();
+    return this._add('image', {
+      width: raster.width * 8,
+      height: raster.height,
+      color: 'color_1',
+      mode: 'mono',
+    }, Buffer.from(raster.data).toString('base64'));
+  }
+
+  /**
+   * [feed paper and cut]
+   * ePOS-Print has no partial cut element, the device cuts the way it is set up.
+   * @param  {[Boolean]} partial [optional] only warns, kept for Printer compatibility
+   * @param  {[Number]}  feed    [optional] lines fed before the cut
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  cut(partial, feed = 3) {
+    if (partial) console.warn('Partial cut is not supported by ePOS-Print, the device setting applies');
+    if (feed > 0) this.feed(feed);
+    return this._add('cut', { type: 'no_feed' });
+  }
+
+  /**
+   * [Send pulse to kick the cash drawer]
+   * @param  {[Number]} pin [optional] 2 or 5, drawer kick-out connector pin
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  cashdraw(pin = 2) {
+    return this._add('pulse', { drawer: pin === 5 ? 'drawer_2' : 'drawer_1', time: 'pulse_100' });
+  }
+
+  /**
+   * [Printer Buzzer]
+   * @param  {[Number]} n number of beeps
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  beep(n = 1) {
+    return this._add('sound', { pattern: 'pattern_a', repeat: n });
+  }
+
+  /**
+   * [raw ESC/POS bytes, sent as a command element]
+   * @param  {[Buffer|String]} data [mandatory] bytes, or a hex string
+   * @return {[EposPrinter]} printer  [the epos printer instance]
+   */
+  raw(data) {
+    const hex = typeof data === 'string' ? data.replace(/\s+/g, '') : Buffer.from(data).toString('hex');
+    return this._add('command', {}, hex);
+  }
+
+  /**
+   * [the recorded calls as an ePOS-Print document]
+   * @return {[String]} <epos-print> element
+   */
+  toXml() {
+    return `<epos-print xmlns="${EPOS_PRINT_NAMESPACE}">${this.elements.join('')}</epos-print>`;
+  }
+
+  /**
+   * [function post the document to the device and clear it]
+   * @param  {[EposTransport]} transport [optional] defaults to options.transport
+   * @return {[Promise<Object>]} response { success, code, status }
+   */
+  async send(transport = this.transport) {
+    if (!transport) throw new TypeError('send requires a transport');
+    const xml = this.toXml();
+    this.elements = [];
+    return transport.print(xml);
+  }
+}
@@ -1,32 +1,87 @@
 'use strict';
 import getPixels from "./url-pixels.js";
+import getNodePixels from "./node-pixels.js";
 import defaultImage from './dom-pixels.js'
+import { toMonochrome } from './dither.js'
+import ndarray from 'ndarray'
+
+/**
+ * [resample pixels to a new size, output is a packed RGBA ndarray]
+ * @param  {[ndarray]} pixels [mandatory]
+ * @param  {[Number]}  width  [mandatory]
+ * @param  {[Number]}  height [mandatory]
+ * @param  {[String]}  mode   [optional] bilinear | nearest
+ * @return {[ndarray]}
+ */
+export function resizePixels(pixels, width, height, mode = 'bilinear') {
+  const [sw, sh, colors] = pixels.shape;
+  const out = new Uint8Array(width * height * 4);
+  // missing channels: gray images repeat the first one, alpha defaults to opaque
+  const get = (x, y, c) => (c < colors ? pixels.get(x, y, c) : (c === 3 ? 255 : pixels.get(x, y, 0)));
+  const nearest = String(mode).toLowerCase() === 'nearest';
+  if (!nearest && String(mode).toLowerCase() !== 'bilinear') {
+    throw new TypeError(`Unknown resize mode ${mode}. Supported: bilinear, nearest`);
+  }
+
+  for (let y = 0; y < height; y++) {
+    const fy = Math.min(Math.max((y + 0.5) * sh / height - 0.5, 0), sh - 1);
+    const y0 = Math.floor(fy);
+    const y1 = Math.min(y0 + 1, sh - 1);
+    for (let x = 0; x < width; x++) {
+      const fx = Math.min(Math.max((x + 0.5) * sw / width - 0.5, 0), sw - 1);
+      const x0 = Math.floor(fx);
+      const x1 = Math.min(x0 + 1, sw - 1);
+      const i = (y * width + x) * 4;
+      for (let c = 0; c < 4; c++) {
+        if (nearest) {
+          out[i + c] = get(Math.min(Math.floor((x + 0.5) * sw / width), sw - 1), Math.min(Math.floor((y + 0.5) * sh / height), sh - 1), c);
+        } else {
+          const dx = fx - x0;
+          const dy = fy - y0;
+          const top = get(x0, y0, c) * (1 - dx) + get(x1, y0, c) * dx;
+          const bottom = get(x0, y1, c) * (1 - dx) + get(x1, y1, c) * dx;
+          out[i + c] = Math.round(top * (1 - dy) + bottom * dy);
+        }
+      }
+    }
+  }
+  return ndarray(out, [width, height, 4], [4, 4 * width, 1], 0);
+}
+
+/**
+ * [copy pixels onto a larger white canvas, anchored top-left]
+ * @param  {[ndarray]} pixels [mandatory]
+ * @param  {[Number]}  width  [mandatory]
+ * @param  {[Number]}  height [mandatory]
+ * @return {[ndarray]}
+ */
+function padPixels(pixels, width, height) {
+  const [sw, sh] = pixels.shape;
+  const resized = resizePixels(pixels, sw, sh, 'nearest');
+  const out = new Uint8Array(width * height * 4).fill(255);
+  for (let y = 0; y < sh; y++) {
+    out.set(resized.data.subarray(y * sw * 4, (y + 1) * sw * 4), y * width * 4);
+  }
+  return ndarray(out, [width, height, 4], [4, 4 * width, 1], 0);
+}
 
 /**
  * [Image description]
  * @param {[type]} pixels [description]
+ * @param {[Object]} options [optional] { dither, threshold }, see toMonochrome
  */
 
 
 
 export class PrintImage {
     pixels;
+    options;
     data = [];
  
-   constructor(pixels) {
+   constructor(pixels, options = {}) {
      this.pixels = pixels;
- 
-     const rgbaData = [];
- 
-     for (let i = 0; i < this.pixels.data.length; i += this.size.colors) {
-       rgbaData.push(
-         new Array(this.size.colors).fill(0).map((_, b) => this.pixels.data[i + b])
-       );
-     }
- 
-     this.data = rgbaData.map(
-       ([r, g, b, a]) => a != 0 && r > 200 && g > 200 && b > 200,
-     );
+     this.options = options;
+     this.data = toMonochrome(pixels, options);
    }
  
    get size() {
@@ -37,6 +92,29 @@ export class PrintImage {
      };
    }
  
+   /**
+    * [fit the image into a dot width, keeping the aspect ratio]
+    * Images narrower than maxWidth are left as they are unless options.upscale is set.
+    * The height is padded with white up to a multiple of options.multiple (8 or 24 for toBitmap).
+    *
+    * @param  {[Number]} maxWidth [mandatory] printable width in dots
+    * @param  {[Object]} options  [optional] { resize: bilinear | nearest, multiple, upscale }
+    * @return {[PrintImage]} a new image, or this one when nothing changes
+    */
+   fit(maxWidth, options = {}) {
+     const { resize = 'bilinear', multiple = 1, upscale = false } = options;
+     let { width, height } = this.size;
+     let pixels = this.pixels;
+     if (width > maxWidth || (upscale && width < maxWidth)) {
+       height = Math.max(1, Math.round(height * maxWidth / width));
+       width = maxWidth;
+       pixels = resizePixels(pixels, width, height, resize);
+     }
+     const padded = Math.ceil(height / multiple) * multiple;
+     if (padded !== height) pixels = padPixels(pixels, width, padded);
+     return pixels === this.pixels ? this : new PrintImage(pixels, this.options);
+   }
+
    /**
     * [toBitmap description]
     * @param  {[type]} density [description]
@@ -114,16 +192,30 @@ export class PrintImage {
  }
  
 
-function imgPixels(url, type) {
+/**
+ * [load an image as PrintImage]
+ * Without a DOM (Node), PNG, BMP and GIF are decoded from a Buffer, data URI or file path.
+ * @param  {[String|Buffer]} url     [mandatory]
+ * @param  {[String]}        type    [optional] mime type, can be omitted
+ * @param  {[Object]}        options [optional] { dither, threshold }
+ * @return {[Promise<PrintImage>]}
+ */
+function imgPixels(url, type, options) {
+    if (type !== null && typeof type === 'object') {
+      options = type;
+      type = undefined;
+    }
     return new Promise((resolve, reject) => {
-        getPixels(url, type, (error, pixels) => {
+        const done = (error, pixels) => {
           if (error) reject(error);
-          else resolve(new PrintImage(pixels));
-        });
+          else resolve(new PrintImage(pixels, options));
+        };
+        if (typeof document === 'undefined') getNodePixels(url, done);
+        else getPixels(url, type, done);
       })
 }
-export function domImgPixels(dom, width, height) {
-  return new PrintImage(defaultImage(dom, width, height))
+export function domImgPixels(dom, width, height, options) {
+  return new PrintImage(defaultImage(dom, width, height), options)
 }
 
 export default imgPixels
\ No newline at end of file
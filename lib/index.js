@@ -2,17 +2,50 @@
 
 import * as _ from "./commands";
 import * as utils from "./utils";
-import imgPixels, { PrintImage, domImgPixels } from "./image";
+import imgPixels, { PrintImage, domImgPixels, resizePixels } from "./image";
+import { writeChunks } from "./transport";
+import { parseAsbStatus, queryStatus, queryFullStatus } from "./status";
+import { qrcodeImage } from "./qrcode";
+import { encodeCode128, validateBarcode } from "./barcode";
+import { renderTemplate } from "./template";
+import { layoutColumns } from "./layout";
+import { renderPreview } from "./preview";
+import { getProfile, resolveProfile } from "./profiles";
+import { CODE_PAGES, encodeCodePages, codeSystemOf, CODE_SYSTEM_ENCODINGS } from "./codepages";
+import { createBridge as createPrintBridge } from "./bridge";
+import { Buffer } from "buffer";
 import { MutableBuffer } from "mutable-buffer";
 import iconv from "iconv-lite";
 
 
+// formatting after ESC @
+const DEFAULT_STATE = { align: 'LT', font: 'A', size: [1, 1], bold: false, italic: false, underline: 0 };
+
+const STYLES = ['B', 'I', 'U', 'U2', 'BI', 'BIU', 'BIU2', 'BU', 'BU2', 'IU', 'IU2'];
+
+// flags of a style string: B, I, U, U2 and their combinations, anything else is NORMAL
+function styleFlags(style) {
+  const flags = STYLES.indexOf(utils.upperCase(style)) >= 0 ? utils.upperCase(style) : '';
+  return {
+    bold: flags.indexOf('B') >= 0,
+    italic: flags.indexOf('I') >= 0,
+    underline: flags.indexOf('U2') >= 0 ? 2 : flags.indexOf('U') >= 0 ? 1 : 0,
+  };
+}
+
 export class Printer {
    buffer = new MutableBuffer();
+   // buffer offsets after each image(), where flush() waits the transport's imageDelay
+   _pauses = [];
    options;
    encoding;
    width;
+   transport = null;
    _model = null;
+   _profile = null;
+   _codeTable = null;
+   _kanji = null;
+   _state = { ...DEFAULT_STATE };
 
   /**
    * [function ESC/POS Printer]
@@ -21,13 +54,49 @@ export class Printer {
    */
   constructor(options = { encoding: 'GB18030', width: 48 }) {
     this.options = options;
-    this.encoding = options.encoding;
-    this.width = options.width;
+    // the defaults also apply to options that leave them out, e.g. { profile }
+    this.encoding = options.encoding || 'GB18030';
+    this.width = options.width || 48;
+    this.transport = options.transport || null;
+    if (options.profile) this.profile(options.profile);
+  }
+
+  /**
+   * Select a printer profile: paper width, columns, code pages, cutter,
+   * 2D code and image support. Sets the model and, unless options.width
+   * is given, the line width in columns of font A.
+   *
+   * @usage
+   *   printer.profile('epson-tm-t88')
+   *   printer.profile({ extends: 'generic-58mm', cutter: 'partial' })
+   *
+   * [function set printer profile]
+   * @param  {[String|Object]} profile [mandatory] a registered name or a profile object
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  profile(profile) {
+    this._profile = resolveProfile(profile);
+    this._model = this._profile.model;
+    this.width = this.options.width || this._profile.columns.A;
+    return this;
+  }
+
+  /**
+   * [a capability of the selected profile, or of the built-in profile for the model]
+   * @param  {[String]} name profile field
+   * @return {[*]}
+   */
+  _capability(name) {
+    if (this._profile) return this._profile[name];
+    return getProfile(this._model === 'qsprinter' || this._model === 'star' ? this._model : 'generic-80mm')[name];
   }
 
   /**
    * Set printer model to recognize model-specific commands.
-   * Supported models: [ null, 'qsprinter' ]
+   * Supported models: [ null, 'qsprinter', 'star' ]
+   *
+   * 'star' emits Star Line Mode sequences from align, style, size, cut,
+   * barcode, qrcode, raster and cashdraw.
    *
    * For generic printers, set model to null
    *
@@ -41,17 +110,199 @@ export class Printer {
   }
 
   /**
-   * Set character code table
-   * @param  {[Number]} codeTable
+   * Set character code table, by number or by code page name.
+   * A name also makes it the text encoding, numbers are looked up in the
+   * profile's code page table.
+   *
+   * @usage
+   *   setCharacterCodeTable('CP858')
+   *   setCharacterCodeTable(19)
+   *
+   * @param  {[Number|String]} codeTable
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   setCharacterCodeTable(codeTable) {
-    this.buffer.write(_.ESC);
-    this.buffer.write(_.TAB);
-    this.buffer.writeUInt8(codeTable);
+    if (typeof codeTable === 'string') {
+      const name = utils.upperCase(codeTable);
+      const codePages = this._capability('codePages');
+      const number = Object.keys(codePages).find((n) => codePages[n] === name);
+      if (number === undefined && (this._profile || this._model === 'star' || !(name in CODE_PAGES))) {
+        throw new RangeError(`Code page ${codeTable} is not supported. Supported: ${Object.values(codePages).join(', ')}`);
+      }
+      this.encoding = name;
+      return this._selectCodeTable(number === undefined ? CODE_PAGES[name] : Number(number));
+    }
+    if (this._profile && !(codeTable in this._profile.codePages)) {
+      console.warn(`Code table ${codeTable} is not supported by printer profile ${this._profile.name}`);
+    }
+    return this._selectCodeTable(codeTable);
+  }
+
+  _codeTableCommand(number) {
+    const select = this._model === 'star' ? _.TEXT_FORMAT.STAR_CODE_TABLE : _.ESC + _.TAB;
+    return Buffer.from(select + String.fromCharCode(number), 'latin1');
+  }
+
+  _selectCodeTable(number) {
+    this.buffer.write(this._codeTableCommand(number));
+    this._codeTable = number;
+    return this;
+  }
+
+  /**
+   * Enter or leave double-byte (Kanji / Chinese) mode. Entering also selects
+   * the code system of the encoding (FS C n) on models the profile can switch.
+   *
+   * On printers with double-byte support, text is switched by itself: non-ASCII
+   * text in a double-byte encoding (GB18030, GB2312, Big5, Shift_JIS, EUC-KR)
+   * enters the mode, non-ASCII text in any other encoding leaves it. Support
+   * comes from the profile's codeSystems; options.kanji true turns it on for
+   * every code system, false leaves the mode to these calls.
+   *
+   * @usage
+   *   printer.kanji().text('你好').kanji(false)
+   *   printer.kanji(true, 'Shift_JIS')
+   *
+   * [function double-byte mode]
+   * @param  {[Boolean]} enable   [optional] default true
+   * @param  {[String]}  encoding [optional] default this.encoding
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  kanji(enable = true, encoding = this.encoding) {
+    if (this._model === 'star') {
+      console.warn('Double-byte mode commands are not supported by STAR Line Mode');
+      return this;
+    }
+    this.buffer.write(this._kanjiCommand(enable, enable ? codeSystemOf(encoding) : null));
     return this;
   }
 
+  /**
+   * Select the double-byte character code system: GB18030, GB2312, BIG5,
+   * SHIFT_JIS or KSC5601 (encoding names such as 'Big5' or 'EUC-KR' work too).
+   * Text is written in the encoding of the code system from then on, and
+   * FS C n is sent when the profile gives the code system a number.
+   * A number sends FS C n as is.
+   *
+   * @usage
+   *   kanjiCodeSystem('SHIFT_JIS')
+   *   kanjiCodeSystem('Big5')
+   *   kanjiCodeSystem(1)
+   *
+   * @param  {[String|Number]} system [mandatory]
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  kanjiCodeSystem(system) {
+    const numbers = this._capability('codeSystems') || {};
+    if (typeof system === 'number') {
+      this.buffer.write(_.KANJI.KANJI_CODE_SYSTEM);
+      this.buffer.writeUInt8(system);
+      return this;
+    }
+    const key = utils.upperCase(system).replace(/[-\s]/g, '_');
+    const name = key in numbers ? key : codeSystemOf(system);
+    if (!name || !(name in numbers || name in CODE_SYSTEM_ENCODINGS)) {
+      throw new RangeError(`Unknown code system ${system}. Use ${Object.keys(CODE_SYSTEM_ENCODINGS).concat(Object.keys(numbers)).filter((n, i, all) => all.indexOf(n) === i).join(', ')}`);
+    }
+    if (CODE_SYSTEM_ENCODINGS[name]) this.encoding = CODE_SYSTEM_ENCODINGS[name];
+    if (numbers[name] != null) {
+      this.buffer.write(_.KANJI.KANJI_CODE_SYSTEM);
+      this.buffer.writeUInt8(numbers[name]);
+    }
+    if (this._kanji) this._kanji = name;
+    return this;
+  }
+
+  /**
+   * Set the style of double-byte characters. Single-byte text keeps the
+   * style from style() and size().
+   *
+   * @usage
+   *   kanjiStyle({ doubleWidth: true, underline: 2, left: 0, right: 4 })
+   *
+   * @param  {[Object]} options [mandatory]
+   *   doubleWidth, doubleHeight, quadruple: Boolean
+   *   underline: Boolean, or 1 / 2 dots
+   *   left, right: spacing in dots [0-255]
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  kanjiStyle(options = {}) {
+    let mode = 0;
+    if (options.doubleWidth) mode |= _.KANJI.MODE_2WIDTH;
+    if (options.doubleHeight) mode |= _.KANJI.MODE_2HEIGHT;
+    if (options.underline) mode |= _.KANJI.MODE_UNDERLINE;
+    this.buffer.write(_.KANJI.KANJI_MODE);
+    this.buffer.writeUInt8(mode);
+    if (typeof options.underline === 'number') {
+      this.buffer.write(_.KANJI.KANJI_UNDERLINE);
+      this.buffer.writeUInt8(Math.min(Math.max(options.underline, 0), 2));
+    }
+    if (options.quadruple !== undefined) {
+      this.buffer.write(_.KANJI.KANJI_QUADRUPLE);
+      this.buffer.writeUInt8(options.quadruple ? 1 : 0);
+    }
+    if (options.left !== undefined || options.right !== undefined) {
+      const spacing = (n) => Math.min(Math.max(n || 0, 0), 255);
+      this.buffer.write(_.KANJI.KANJI_SPACING);
+      this.buffer.writeUInt8(spacing(options.left));
+      this.buffer.writeUInt8(spacing(options.right));
+    }
+    return this;
+  }
+
+  _kanjiCommand(enable, system) {
+    let command = _.KANJI.KANJI_OFF;
+    if (enable) {
+      const numbers = this._capability('codeSystems') || {};
+      command = _.KANJI.KANJI_ON;
+      if (system && numbers[system] != null) {
+        command = _.KANJI.KANJI_CODE_SYSTEM + String.fromCharCode(numbers[system]) + command;
+      }
+    }
+    this._kanji = enable ? system || true : false;
+    return Buffer.from(command, 'latin1');
+  }
+
+  // enter or leave double-byte mode for the text about to be printed
+  _kanjiSwitch(content, encoding) {
+    if (this.options.kanji === false || this._model === 'star') return null;
+    // ASCII prints the same in both modes
+    if (Array.from(content).every((char) => char.charCodeAt(0) < 0x80)) return null;
+    const system = codeSystemOf(encoding);
+    const supported = this.options.kanji === true || (system in (this._capability('codeSystems') || {}));
+    if (system && supported && this._kanji !== system) return this._kanjiCommand(true, system);
+    if (!system && this._kanji) return this._kanjiCommand(false);
+    return null;
+  }
+
+  /**
+   * [encode text for the printer]
+   * With encoding 'auto', every character is printed from a code table of the
+   * profile, switching tables only where needed and transliterating the rest.
+   * Double-byte mode is entered or left first when the encoding needs it.
+   * @param  {[String]} content  [mandatory]
+   * @param  {[String]} encoding [mandatory] an iconv encoding or 'auto'
+   * @return {[Buffer]}
+   */
+  _encode(content, encoding) {
+    const kanji = this._kanjiSwitch(content, encoding);
+    if (kanji) return Buffer.concat([kanji, this._encode(content, encoding)]);
+    if (utils.upperCase(encoding) !== 'AUTO') return iconv.encode(content, encoding);
+    const { segments } = encodeCodePages(content, {
+      tables: this._capability('codePages'),
+      current: this._codeTable,
+    });
+    const parts = [];
+    segments.forEach(({ table, bytes }) => {
+      if (table !== this._codeTable) {
+        parts.push(this._codeTableCommand(table));
+        this._codeTable = table;
+      }
+      parts.push(bytes);
+    });
+    return Buffer.concat(parts);
+  }
+
   /**
    * Fix bottom margin
    * @param  {[String]} size
@@ -87,6 +338,8 @@ export class Printer {
 
   /**
    * [function print]
+   * Writes raw content to the buffer, text() and most commands go through it;
+   * send() is what delivers the buffer to a transport.
    * @param  {[String]}  content  [mandatory]
    * @return {[Printer]} printer  [the escpos printer instance]
    */
@@ -113,15 +366,59 @@ export class Printer {
 
   /**
    * [function Print encoded alpha-numeric text with End Of Line]
+   * With encoding 'auto' the code table is chosen per character, see _encode.
    * @param  {[String]}  content  [mandatory]
    * @param  {[String]}  encoding [optional]
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   text(content, encoding = this.encoding) {
-    return this.print(iconv.encode(`${content}${_.EOL}`, encoding));
+    return this.print(this._encode(`${content}${_.EOL}`, encoding));
   }
 
 
+  /**
+   * [function Print a word-wrapped paragraph]
+   * Lines wrap on word boundaries and between CJK characters, within the current
+   * width divided by the width multiplier set with size().
+   *
+   * @usage
+   * 1) paragraph('Lorem ipsum dolor sit amet', { justify: true })
+   * 2) paragraph('1. Long list item that wraps', { hangingIndent: 3 })
+   * 3) paragraph('Thank you', { align: 'ct' })
+   *
+   * @param  {[String]}  content  [mandatory] newlines start a new paragraph
+   * @param  {[Object]}  options  [optional] { align: lt | ct | rt, indent, hangingIndent, justify, encoding }
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  paragraph(content, options = {}) {
+    const { indent = 0, hangingIndent = 0, justify = false, encoding = this.encoding } = options;
+    const align = utils.upperCase(options.align || 'lt').slice(0, 1);
+    const columns = Math.floor(this.width / this._state.size[0]);
+    const margin = (i) => (i === 0 ? indent : hangingIndent);
+
+    String(content).split(/\r?\n/).forEach((text) => {
+      const lines = utils.wrapText(text, (i) => Math.max(columns - margin(i), 1));
+      lines.forEach((line, i) => {
+        const width = Math.max(columns - margin(i), 1);
+        if (justify && i < lines.length - 1) line = utils.justifyText(line, width);
+        const free = Math.max(width - utils.textLength(line), 0);
+        const pad = align === 'C' ? Math.floor(free / 2) : align === 'R' ? free : 0;
+        this.buffer.write(this._encode(' '.repeat(margin(i) + pad) + line + _.EOL, encoding));
+      });
+    });
+    return this;
+  }
+
+  /**
+   * [function Render a receipt template, see lib/template.js]
+   * @param  {[String|Object|Array]}  template [mandatory] markup or JSON node tree
+   * @param  {[Object]}  data     [optional] values for {{placeholders}}
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  template(template, data) {
+    return renderTemplate(this, template, data);
+  }
+
   /**
    * [function Print draw line End Of Line]
    * @param  {[String]}  character [optional]
@@ -138,131 +435,79 @@ export class Printer {
 
 
 
+  /**
+   * [function Print rows of cells in columns, see lib/layout.js]
+   * Cell text wraps within its column, every row lines up with the others.
+   *
+   * @usage
+   *   columns([['Item', 'Qty', 'Price'], ['Green tea with honey', '2', '12.50']], {
+   *     columns: [{}, { width: 4, align: 'right' }, { width: '25%', align: 'right', padding: [1, 0] }],
+   *     border: 'single',
+   *   })
+   *
+   * @param  {[Array<Array>]}  rows    [mandatory] cells are strings, numbers or { text, align, style, size: [w, h] }
+   * @param  {[Object]}  options [optional] { columns: [{ width: n | 'n%' | 'auto', align, padding, style }], size, border: single | double | ascii, separators, encoding }
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  columns(rows, options = {}) {
+    const encoding = options.encoding || this.encoding;
+    layoutColumns(rows, { size: this._state.size, ...options, encoding, width: this.width }).forEach((segments) => {
+      this.buffer.write(this._encode(this._layoutLine(segments) + _.EOL, encoding));
+    });
+    return this;
+  }
+
+  // one laid out line: padding and borders at size 1, cells in their style and size
+  _layoutLine(segments) {
+    const { bold, italic, underline } = this._state;
+    let size = this._state.size;
+    let line = '';
+    const resize = (next) => {
+      if (next[0] === size[0] && next[1] === size[1]) return;
+      line += this._sizeCommand(next[0], next[1]);
+      size = next;
+    };
+    segments.forEach((segment) => {
+      resize(segment.size || [1, 1]);
+      line += segment.style
+        ? `${this._getStyle(segment.style)}${segment.text}${this._getStyle(bold, italic, underline)}`
+        : segment.text;
+    });
+    resize(this._state.size);
+    return line;
+  }
+
   /**
    * [function Print  table   with End Of Line]
+   * Cells share the line equally, see columns().
    * @param  {[data]}  data  [mandatory]
    * @param  {[String]}  encoding [optional]
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   table(data, encoding = this.encoding) {
-    const cellWidth = this.width / data.length;
-    let lineTxt = "";
-
-    for (let i = 0; i < data.length; i++) {
-      lineTxt += data[i].toString();
-
-      const spaces = cellWidth - data[i].toString().length;
-      for (let j = 0; j < spaces; j++) lineTxt += " ";
-    }
-    this.buffer.write(iconv.encode(lineTxt + _.EOL, encoding));
-    return this;
+    return this.columns([data], { encoding });
   }
 
   /**
    * [function Print  custom table  with End Of Line]
+   * A row of cells { text, align, style, width: fraction of the line, cols: columns },
+   * cells without width or cols share what is left. See columns().
    * @param  {[data]}  data  [mandatory]
-   * @param  {[String]}  options [optional]
+   * @param  {[String]}  options [optional] { size: [w, h], encoding }
    * @return {[Printer]} printer  [the escpos printer instance]
    */
-  tableCustom(data, options = { size: [1, 1], encoding: this.encoding }) {
-    let [width, height] = options.size;
-    let baseWidth = Math.floor(this.width / width)
-    let cellWidth = Math.floor(baseWidth / data.length)
-    let leftoverSpace = baseWidth - cellWidth * data.length // by only data[].width
-    let lineStr = ''
-    let secondLineEnabled = false
-    let secondLine = []
-
-    for (let i = 0; i < data.length; i++) {
-      const obj = data[i]
-      const align = utils.upperCase(obj.align || 'left');
-
-      const textLength = utils.textLength(obj.text);
-
-      if ("width" in obj) {
-        cellWidth = baseWidth * obj.width
-      } else if (obj.cols) {
-        cellWidth = obj.cols / width
-        leftoverSpace = 0;
-      }
-
-      let originalText = null;
-      if (cellWidth < textLength) {
-        originalText = obj.text;
-        obj.text = utils.textSubstring(obj.text, 0, cellWidth)
-      }
-
-      if (align === 'CENTER') {
-        let spaces = (cellWidth - textLength) / 2
-        for (let s = 0; s < spaces; s++) lineStr += ' ';
-
-        if (obj.text !== '') {
-          if (obj.style) lineStr += `${this._getStyle(obj.style)}${obj.text}${this._getStyle("NORMAL")}`;
-          else lineStr += obj.text
-        }
-
-        for (let s = 0; s < spaces - 1; s++) lineStr += ' ';
-      } else if (align === 'RIGHT') {
-        let spaces = cellWidth - textLength
-        if (leftoverSpace > 0) {
-          spaces += leftoverSpace
-          leftoverSpace = 0
-        }
-
-        for (let s = 0; s < spaces; s++) lineStr += ' ';
-
-        if (obj.text !== '') {
-          if (obj.style) lineStr += `${this._getStyle(obj.style)}${obj.text}${this._getStyle("NORMAL")}`;
-          else lineStr += obj.text
-        }
-      } else {
-        if (obj.text !== '') {
-          if (obj.style) lineStr += `${this._getStyle(obj.style)}${obj.text}${this._getStyle("NORMAL")}`;
-          else lineStr += obj.text
-        }
-
-        let spaces = Math.floor(cellWidth - textLength)
-        if (leftoverSpace > 0) {
-          spaces += leftoverSpace
-          leftoverSpace = 0
-        }
-
-        for (let s = 0; s < spaces; s++) lineStr += ' '
-      }
-
-      if (originalText !== null) {
-        secondLineEnabled = true
-        obj.text = utils.textSubstring(originalText, cellWidth)
-        secondLine.push(obj)
-      } else {
-        obj.text = ''
-        secondLine.push(obj)
-      }
-    }
-
-    // Set size to line
-    if (width > 1 || height > 1) {
-      lineStr = (
-        _.TEXT_FORMAT.TXT_CUSTOM_SIZE(width, height) +
-        lineStr +
-        _.TEXT_FORMAT.TXT_NORMAL
-      )
-    }
-
-    // Write the line
-    this.buffer.write(
-      iconv.encode(lineStr + _.EOL, options.encoding || this.encoding)
-    )
-
-    if (secondLineEnabled) {
-      // Writes second line if has
-      return this.tableCustom(secondLine, options)
-    } else {
-      return this
-    }
+  tableCustom(data, options = {}) {
+    const columns = data.map((cell) => {
+      if ('width' in cell) return { width: `${cell.width * 100}%` };
+      return { width: cell.cols || undefined };
+    });
+    return this.columns([data], {
+      columns,
+      size: options.size || [1, 1],
+      encoding: options.encoding || this.encoding,
+    });
   }
 
-
   /**
    * [function Print encoded alpha-numeric text without End Of Line]
    * @param  {[String]}  content  [mandatory]
@@ -270,12 +515,12 @@ export class Printer {
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   pureText(content, encoding = this.encoding) {
-    return this.print(iconv.encode(content, encoding));
+    return this.print(this._encode(content, encoding));
   }
 
   /**
    * [function encode text]
-   * @param  {[String]}  encoding [mandatory]
+   * @param  {[String]}  encoding [mandatory] an iconv encoding, or 'auto' to pick code tables per character
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   encode(encoding) {
@@ -310,6 +555,12 @@ export class Printer {
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   align(align) {
+    this._state.align = utils.upperCase(align);
+    if (this._model === 'star') {
+      const star = { LT: 'LA', CT: 'CA', RT: 'RA' }[utils.upperCase(align)];
+      this.buffer.write(_.TEXT_FORMAT[`STAR_TXT_ALIGN_${star}`]);
+      return this;
+    }
     this.buffer.write(_.TEXT_FORMAT[
       `TXT_ALIGN_${utils.upperCase(align)}`
     ]);
@@ -324,46 +575,37 @@ export class Printer {
     this.buffer.write(_.TEXT_FORMAT[
     `TXT_FONT_${utils.upperCase(family)}`
       ]);
-    if (family.toUpperCase() === 'A')
-      this.width = this.options && this.options.width || 42;
-    else
-      this.width = this.options && this.options.width || 56;
+    this._state.font = utils.upperCase(family);
+    this.width = this._fontWidth(family);
     return this;
   }
 
+  _fontWidth(family) {
+    if (this._profile)
+      return this.options && this.options.width ||
+        this._profile.columns[family.toUpperCase()] || this._profile.columns.B;
+    else if (family.toUpperCase() === 'A')
+      return this.options && this.options.width || 42;
+    else
+      return this.options && this.options.width || 56;
+  }
+
   /**
    * [font style]
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   _getStyle(boldOrString, italic, underline) {
     if (typeof boldOrString === 'string') {
-      switch (utils.upperCase(boldOrString)) {
-        case 'B':
-          return this._getStyle(true, false, 0);
-        case 'I':
-          return this._getStyle(false, true, 0);
-        case 'U':
-          return this._getStyle(false, false, 1);
-        case 'U2':
-          return this._getStyle(false, false, 2);
-        case 'BI':
-          return this._getStyle(true, true, 0);
-        case 'BIU':
-          return this._getStyle(true, true, 1);
-        case 'BIU2':
-          return this._getStyle(true, true, 2);
-        case 'BU':
-          return this._getStyle(true, false, 1);
-        case 'BU2':
-          return this._getStyle(true, false, 2);
-        case 'IU':
-          return this._getStyle(false, true, 1);
-        case 'IU2':
-          return this._getStyle(false, true, 2);
-        case 'NORMAL':
-        default:
-          return this._getStyle(false, false, 0);
-      }
+      const { bold, italic, underline } = styleFlags(boldOrString);
+      return this._getStyle(bold, italic, underline);
+    } else if (this._model === 'star') {
+      // Star Line Mode has no italic, and a single underline thickness
+      if (italic) console.warn('Italic is not supported in Star Line Mode');
+      return `${
+        boldOrString ? _.TEXT_FORMAT.STAR_TXT_EMPHASIZED : _.TEXT_FORMAT.STAR_CANCEL_TXT_EMPHASIZED
+      }${
+        underline ? _.TEXT_FORMAT.TXT_UNDERL_ON : _.TEXT_FORMAT.TXT_UNDERL_OFF
+      }`;
     } else {
       let styled = `${
         boldOrString ? _.TEXT_FORMAT.TXT_BOLD_ON : _.TEXT_FORMAT.TXT_BOLD_OFF
@@ -382,10 +624,119 @@ export class Printer {
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   style(boldOrString, italic, underline) {
-    const style = (typeof boldOrString === 'string')
-      ? this._getStyle(boldOrString)
-      : this._getStyle(boldOrString, italic, underline);
-    this.buffer.write(style);
+    const flags = (typeof boldOrString === 'string')
+      ? styleFlags(boldOrString)
+      : { bold: !!boldOrString, italic: !!italic, underline };
+    this.buffer.write(this._getStyle(flags.bold, flags.italic, flags.underline));
+    this._state.bold = flags.bold;
+    this._state.italic = flags.italic;
+    // Star Line Mode always sets the underline, on or off
+    if (this._model === 'star') this._state.underline = flags.underline ? 1 : 0;
+    else if (flags.underline !== undefined) this._state.underline = Number(flags.underline);
+    return this;
+  }
+
+  /**
+   * [the formatting set through this printer: align, font, size, bold, italic, underline]
+   * Bytes written with print() or raw() are not followed.
+   * @return {[Object]} a copy
+   */
+  get state() {
+    return { ...this._state, size: this._state.size.slice() };
+  }
+
+  /**
+   * [function initialize the printer (ESC @)]
+   * Clears the printer's formatting, code table and double-byte mode, and the tracked state.
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  init() {
+    this.buffer.write(_.HARDWARE.HW_INIT);
+    if (this._state.font !== 'A') this.width = this._fontWidth('A');
+    this._state = { ...DEFAULT_STATE };
+    this._codeTable = null;
+    this._kanji = null;
+    return this;
+  }
+
+  /**
+   * [function initialize the printer (ESC @), see init()]
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  reset() {
+    return this.init();
+  }
+
+  /**
+   * Apply formatting for the calls made in fn, then go back to the formatting
+   * before. Only the commands for what changes are written, both ways.
+   *
+   * @usage
+   *   printer.withStyle({ align: 'ct', bold: true, size: [2, 2] }, (p) => p.text('TOTAL'))
+   *   await printer.withStyle({ align: 'ct' }, (p) => p.flush(transport))
+   *
+   * @param  {[Object]}   style [mandatory] { align, font, size: [w, h] or n, bold, italic, underline, style: 'BU'... }
+   * @param  {[Function]} fn    [mandatory] called with the printer, may return a promise;
+   *                               the formatting is restored when it throws or rejects too
+   * @return {[Printer|Promise<Printer>]} printer  [the escpos printer instance], once fn's promise settles
+   */
+  withStyle(style, fn) {
+    const saved = this.state;
+    const next = { ...saved, ...(style.style ? styleFlags(style.style) : {}) };
+    if (style.align) next.align = utils.upperCase(style.align);
+    if (style.font) next.font = utils.upperCase(style.font);
+    if (style.size) next.size = Array.isArray(style.size) ? style.size : [style.size, style.size];
+    ['bold', 'italic'].forEach((key) => {
+      if (style[key] !== undefined) next[key] = !!style[key];
+    });
+    if (style.underline !== undefined) next.underline = Number(style.underline);
+    this._applyState(next);
+    const restore = () => this._applyState(saved);
+    let result;
+    try {
+      result = fn(this);
+    } catch (error) {
+      restore();
+      throw error;
+    }
+    if (result && typeof result.then === 'function') {
+      return result.then(restore, (error) => {
+        restore();
+        throw error;
+      });
+    }
+    return restore();
+  }
+
+  // write only the commands that take the tracked state to the given one
+  _applyState(next) {
+    const state = this._state;
+    if (next.align !== state.align) this.align(next.align);
+    if (next.font !== state.font) this.font(next.font);
+    if (next.size[0] !== state.size[0] || next.size[1] !== state.size[1]) this.size(next.size[0], next.size[1]);
+    if (next.bold !== state.bold) {
+      if (this._model === 'star') {
+        this.buffer.write(next.bold ? _.TEXT_FORMAT.STAR_TXT_EMPHASIZED : _.TEXT_FORMAT.STAR_CANCEL_TXT_EMPHASIZED);
+      } else {
+        this.buffer.write(next.bold ? _.TEXT_FORMAT.TXT_BOLD_ON : _.TEXT_FORMAT.TXT_BOLD_OFF);
+      }
+      state.bold = next.bold;
+    }
+    if (next.italic !== state.italic) {
+      // Star Line Mode has no italic: it is recorded so that it is only warned about once
+      if (this._model !== 'star') {
+        this.buffer.write(next.italic ? _.TEXT_FORMAT.TXT_ITALIC_ON : _.TEXT_FORMAT.TXT_ITALIC_OFF);
+      } else if (next.italic) {
+        console.warn('Italic is not supported in Star Line Mode');
+      }
+      state.italic = next.italic;
+    }
+    if (next.underline !== state.underline) {
+      this.buffer.write(next.underline === 2 && this._model !== 'star'
+        ? _.TEXT_FORMAT.TXT_UNDERL2_ON
+        : next.underline ? _.TEXT_FORMAT.TXT_UNDERL_ON : _.TEXT_FORMAT.TXT_UNDERL_OFF);
+      state.underline = next.underline;
+    }
     return this;
   }
 
@@ -396,10 +747,18 @@ export class Printer {
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   size(width, height) {
-    this.buffer.write(_.TEXT_FORMAT.TXT_CUSTOM_SIZE(width, height));
+    const max = this._model === 'star' ? 6 : 8;
+    this.buffer.write(this._sizeCommand(width, height));
+    this._state.size = [width, height].map((n) => Math.min(Math.max(n, 1), max));
     return this;
   }
 
+  _sizeCommand(width, height) {
+    return this._model === 'star'
+      ? _.TEXT_FORMAT.STAR_TXT_SIZE(width, height)
+      : _.TEXT_FORMAT.TXT_CUSTOM_SIZE(width, height);
+  }
+
   /**
    * [set character spacing]
    * @param  {[type]}    n     [description]
@@ -433,16 +792,21 @@ export class Printer {
 
   /**
    * [barcode]
+   *
+   * CODE128 content is encoded with automatic code set selection ({A/{B/{C),
+   * content that already starts with {A, {B or {C is sent as is.
+   * Set options.gs1 to start with FNC1 (GS1-128), an ASCII GS (\x1d) in content is written as FNC1.
+   *
    * @param  {[type]}    code     [description]
    * @param  {[type]}    type     [description]
-   * @param  {[type]}    options  [description]
+   * @param  {[type]}    options  [description] { width, height, position, font, includeParity, gs1 }
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   barcode(code, TYPE = 'UPC-A', OPTIONS) {
     if (TYPE == null) {
       throw new TypeError('barcode type is required');
     }
-    const { width, height, position, font, includeParity } = OPTIONS || {}
+    const { width, height, position, font, includeParity, gs1 } = OPTIONS || {}
     const type = TYPE.toUpperCase()
     const options = {
       width: width || 2,
@@ -453,14 +817,20 @@ export class Printer {
     }
 
     const convertCode = code.toString(10);
+    let normalizedType = utils.upperCase(type);
+    if (normalizedType === 'UPC-A') normalizedType = 'UPC_A';
+    else if (normalizedType === 'UPC-E') normalizedType = 'UPC_E';
+    validateBarcode(normalizedType, convertCode, options);
+    if (this._model === 'star') return this._starBarcode(normalizedType, convertCode, options);
+
     let parityBit = ''; // EAN条码的校验位
     let codeLength = '';
    
     if (this._model === 'qsprinter') {
       this.buffer.write(_.MODEL.QSPRINTER.BARCODE_MODE.ON);
     }
-    if (this._model === 'qsprinter') {
-      // qsprinter has no BARCODE_WIDTH command (as of v7.5)
+    if (!this._capability('barcodeWidth')) {
+      // e.g. qsprinter has no BARCODE_WIDTH command (as of v7.5)
     } else if (utils.isKey(options.width, _.BARCODE_FORMAT.BARCODE_WIDTH)) {
       this.buffer.write(_.BARCODE_FORMAT.BARCODE_WIDTH[options.width]);
     } else {
@@ -475,7 +845,7 @@ export class Printer {
         this.buffer.write(_.BARCODE_FORMAT.BARCODE_HEIGHT_DEFAULT);
       }
     }
-    if (this._model !== 'qsprinter') {
+    if (this._capability('hriFont')) {
       this.buffer.write(_.BARCODE_FORMAT[
         `BARCODE_FONT_${utils.upperCase(options.font)}`
       ]);
@@ -484,10 +854,6 @@ export class Printer {
       `BARCODE_TXT_${utils.upperCase(options.position)}`
     ]);
 
-    let normalizedType = utils.upperCase(type);
-    if (normalizedType === 'UPC-A') normalizedType = 'UPC_A';
-    else if (normalizedType === 'UPC-E') normalizedType = 'UPC_E';
-
     this.buffer.write(_.BARCODE_FORMAT[
       `BARCODE_${normalizedType}`
     ]);
@@ -496,26 +862,113 @@ export class Printer {
         parityBit = utils.getParityBit(convertCode);
       }
     }
-    if (type == 'CODE128' || type == 'CODE93') {
-      codeLength = utils.codeLength(convertCode);
+    if (type == 'CODE128') {
+      const payload = /^\{[ABC]/.test(convertCode)
+        ? Buffer.from(convertCode, 'binary')
+        : encodeCode128(convertCode, { gs1 });
+      if (payload.length > 255) {
+        throw new RangeError(`CODE128 payload is ${payload.length} bytes, the maximum is 255`);
+      }
+      this.buffer.writeUInt8(payload.length);
+      this.buffer.write(payload);
+    } else {
+      if (type == 'CODE93') {
+        codeLength = utils.codeLength(convertCode);
+      }
+      this.buffer.write(codeLength + convertCode + (options.includeParity ? parityBit : '') + '\x00'); // Allow to skip the parity byte
     }
-    this.buffer.write(codeLength + convertCode + (options.includeParity ? parityBit : '') + '\x00'); // Allow to skip the parity byte
     if (this._model === 'qsprinter') {
       this.buffer.write(_.MODEL.QSPRINTER.BARCODE_MODE.OFF);
     }
     return this;
   }
 
+  /**
+   * [Star Line Mode barcode, ESC b n1 n2 n3 n4 d1...dk RS]
+   * The printer adds check digits, selects CODE128 code sets and feeds a line after it itself.
+   * @param  {[String]}  type     normalized barcode type
+   * @param  {[String]}  code     validated content
+   * @param  {[Object]}  options  barcode options
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  _starBarcode(type, code, options) {
+    const { CMD, END, TYPE, HRI, MODE } = _.MODEL.STAR.BARCODE;
+    if (options.gs1) console.warn('GS1-128 is not supported in Star Line Mode, printing plain CODE128');
+    if (!options.includeParity && ['EAN13', 'EAN8', 'UPC_A'].indexOf(type) >= 0) {
+      code = code.slice(0, -1);
+    }
+    const mode = Math.min(Math.max(options.width, MODE.MIN), MODE.MAX);
+    this.buffer.write(CMD);
+    this.buffer.write(TYPE[type]);
+    this.buffer.write(utils.upperCase(options.position) === 'OFF' ? HRI.OFF : HRI.BLW);
+    this.buffer.write(String(mode));
+    this.buffer.writeUInt8(Math.min(Math.max(options.height, 1), 255));
+    this.buffer.write(code);
+    this.buffer.write(END);
+    return this;
+  }
+
   /**
    * [print qrcode]
-   * @param  {[type]} content    [description]
-   * @param  {[type]} version [description]
-   * @param  {[type]} level   [description]
-   * @param  {[type]} size    [description]
+   *
+   * @usage
+   * 1) qrcode('https://example.com')
+   * 2) qrcode('https://example.com', { size: 8, level: 'M', model: 2 })
+   * 3) qrcode('https://example.com', { render: 'legacy', version: 3 }) uses the old ESC Z sequence
+   * 4) qrcode('https://example.com', { render: 'image', size: 4, quietZone: 2 }) prints a raster image
+   * 5) qrcode(content, version, level, size) positional form is still accepted
+   *
+   * With render 'image', size is the module size in dots and the symbol is encoded in JS,
+   * for printers without on-board QR support. A symbol wider than the paper gets a smaller
+   * module size, a RangeError when even 1 dot per module is too wide.
+   *
+   * @param  {[String]} content    [mandatory]
+   * @param  {[Object|Number]} options  [optional] { render, model, size, level, version, encoding, quietZone, mode }
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   qrcode(content, version, level, size) {
-    if (this._model !== 'qsprinter') {
+    const options = (version !== null && typeof version === 'object')
+      ? version
+      : { version, level, size };
+    ({ version, level, size } = options);
+    let render = utils.upperCase(options.render || 'native');
+    if (render !== 'IMAGE' && this._capability('code2d').indexOf('QRCODE') < 0) {
+      console.warn('QR code is not supported by this printer profile, printing it as an image');
+      render = 'IMAGE';
+    }
+
+    if (render === 'IMAGE') {
+      const double = ['DW', 'DWDH', 'DHDW', 'DWH', 'DHW'].indexOf(utils.upperCase(options.mode || 'NORMAL')) >= 0;
+      return this.raster(qrcodeImage(content, {
+        level: level || 'L',
+        version: typeof version === 'number' ? version : undefined,
+        moduleSize: size || 6,
+        quietZone: options.quietZone == null ? 4 : options.quietZone,
+        maxWidth: Math.floor(this._dotWidth() / (double ? 2 : 1)),
+      }), options.mode, { fit: false });
+    }
+
+    if (this._model === 'star') {
+      const { MODEL, LEVEL, SIZE, STORE, PRINT, LEVELS, CELL_SIZE } = _.MODEL.STAR.QRCODE;
+      const dataRaw = iconv.encode(content, options.encoding || 'utf8');
+      const levelByte = LEVELS[utils.upperCase(level || 'L')];
+      if (levelByte === undefined) {
+        throw new RangeError(`Invalid QR code level ${level}. Must be one of L, M, Q, H`);
+      }
+      size = size == null ? CELL_SIZE.DEFAULT : size;
+      utils.assertRange('QR code cell size', size, CELL_SIZE.MIN, CELL_SIZE.MAX);
+      this.buffer.write(MODEL);
+      this.buffer.writeUInt8(options.model === 1 ? 1 : 2);
+      this.buffer.write(LEVEL);
+      this.buffer.writeUInt8(levelByte);
+      this.buffer.write(SIZE);
+      this.buffer.writeUInt8(size);
+      this.buffer.write(STORE);
+      this.buffer.writeUInt16LE(dataRaw.length);
+      this.buffer.write(dataRaw);
+      this.buffer.write(PRINT);
+    } else if (this._model !== 'qsprinter' && render === 'LEGACY') {
+      const dataRaw = iconv.encode(content, options.encoding || 'utf8');
       this.buffer.write(_.CODE2D_FORMAT.TYPE_QR);
       this.buffer.write(_.CODE2D_FORMAT.CODE2D);
       this.buffer.writeUInt8(version || 3);
@@ -523,8 +976,32 @@ export class Printer {
         `QR_LEVEL_${utils.upperCase(level || 'L')}`
       ]);
       this.buffer.writeUInt8(size || 6);
-      this.buffer.writeUInt16LE(content.length);
-      this.buffer.write(content);
+      this.buffer.writeUInt16LE(dataRaw.length);
+      this.buffer.write(dataRaw);
+    } else if (this._model !== 'qsprinter') {
+      const { CN, FN_MODEL, FN_SIZE, FN_LEVEL, FN_STORE, FN_PRINT, MODEL, LEVEL, SIZE, MAX_LENGTH } = _.QRCODE_FORMAT;
+      const dataRaw = iconv.encode(content, options.encoding || 'utf8');
+      if (dataRaw.length < 1 || dataRaw.length > MAX_LENGTH) {
+        throw new RangeError(`Invalid QR code length ${dataRaw.length} in byte. Must be between 1 and ${MAX_LENGTH}`);
+      }
+      const model = MODEL[utils.upperCase(String(options.model || 2))];
+      if (model === undefined) {
+        throw new RangeError(`Invalid QR code model ${options.model}. Must be 1, 2 or 'micro'`);
+      }
+      const levelByte = LEVEL[utils.upperCase(level || 'L')];
+      if (levelByte === undefined) {
+        throw new RangeError(`Invalid QR code level ${level}. Must be one of L, M, Q, H`);
+      }
+      size = size == null ? SIZE.DEFAULT : size;
+      if (!Number.isInteger(size) || size < SIZE.MIN || size > SIZE.MAX) {
+        throw new RangeError(`Invalid QR code size ${size}. Must be between ${SIZE.MIN} and ${SIZE.MAX}`);
+      }
+
+      this.buffer.write(_.CODE2D_FUNCTION(CN, FN_MODEL, model, 0));
+      this.buffer.write(_.CODE2D_FUNCTION(CN, FN_SIZE, size));
+      this.buffer.write(_.CODE2D_FUNCTION(CN, FN_LEVEL, levelByte));
+      this.buffer.write(_.CODE2D_FUNCTION(CN, FN_STORE, 0x30, dataRaw));
+      this.buffer.write(_.CODE2D_FUNCTION(CN, FN_PRINT, 0x30));
     } else {
       const dataRaw = iconv.encode(content, 'utf8');
       if (dataRaw.length < 1 && dataRaw.length > 2710) {
@@ -571,16 +1048,150 @@ export class Printer {
     return this;
   }
 
+  /**
+   * [print PDF417 2D barcode with GS ( k]
+   *
+   * @usage
+   * 1) pdf417('SHIP-TO 12345')
+   * 2) pdf417(content, { columns: 4, width: 2, height: 4, level: 3 })
+   * 3) pdf417(content, { ratio: 5, truncated: true }) error correction as 50% of data
+   *
+   * @param  {[String]} content  [mandatory]
+   * @param  {[Object]} options  [optional] { columns, rows, width, height, level, ratio, truncated, encoding }
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  pdf417(content, options = {}) {
+    if (this._capability('code2d').indexOf('PDF417') < 0) {
+      console.warn('PDF417 is not supported by this printer profile');
+    }
+    const F = _.PDF417_FORMAT;
+    const {
+      columns = F.COLUMNS.DEFAULT,
+      rows = F.ROWS.DEFAULT,
+      width = F.WIDTH.DEFAULT,
+      height = F.HEIGHT.DEFAULT,
+      level = F.LEVEL.DEFAULT,
+      ratio,
+      truncated = false,
+    } = options;
+    const dataRaw = iconv.encode(content, options.encoding || 'utf8');
+
+    utils.assertRange('PDF417 data length', dataRaw.length, 1, F.MAX_LENGTH);
+    utils.assertRange('PDF417 columns', columns, F.COLUMNS.MIN, F.COLUMNS.MAX);
+    if (rows !== 0) utils.assertRange('PDF417 rows', rows, F.ROWS.MIN, F.ROWS.MAX);
+    utils.assertRange('PDF417 module width', width, F.WIDTH.MIN, F.WIDTH.MAX);
+    utils.assertRange('PDF417 row height', height, F.HEIGHT.MIN, F.HEIGHT.MAX);
+    const errorCorrection = ratio == null
+      ? [F.LEVEL_BY_LEVEL, 0x30 + utils.assertRange('PDF417 error correction level', level, F.LEVEL.MIN, F.LEVEL.MAX)]
+      : [F.LEVEL_BY_RATIO, utils.assertRange('PDF417 error correction ratio', ratio, F.RATIO.MIN, F.RATIO.MAX)];
+
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_COLUMNS, columns));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_ROWS, rows));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_WIDTH, width));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_HEIGHT, height));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_LEVEL, ...errorCorrection));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_OPTIONS, truncated ? 1 : 0));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_STORE, 0x30, dataRaw));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_PRINT, 0x30));
+    return this;
+  }
+
+  /**
+   * [print DataMatrix (ECC200) 2D barcode with GS ( k]
+   *
+   * @usage
+   * 1) datamatrix('0104012345678901')
+   * 2) datamatrix(content, { size: 4, columns: 24 }) square 24x24
+   * 3) datamatrix(content, { shape: 'rectangle', columns: 36, rows: 12 })
+   *
+   * @param  {[String]} content  [mandatory]
+   * @param  {[Object]} options  [optional] { shape, columns, rows, size, encoding }
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  datamatrix(content, options = {}) {
+    if (this._capability('code2d').indexOf('DATAMATRIX') < 0) {
+      console.warn('DataMatrix is not supported by this printer profile');
+    }
+    const F = _.DATAMATRIX_FORMAT;
+    const { columns = 0, size = F.SIZE.DEFAULT } = options;
+    const shape = utils.upperCase(options.shape || 'square');
+    const dataRaw = iconv.encode(content, options.encoding || 'utf8');
+
+    if (!(shape in F.SHAPE)) {
+      throw new RangeError(`Invalid DataMatrix shape ${options.shape}. Must be 'square' or 'rectangle'`);
+    }
+    utils.assertRange('DataMatrix data length', dataRaw.length, 1, F.MAX_LENGTH);
+    utils.assertRange('DataMatrix module size', size, F.SIZE.MIN, F.SIZE.MAX);
+
+    let rows = options.rows || 0;
+    if (shape === 'SQUARE') {
+      if (F.SQUARE_SIZES.indexOf(columns) < 0) {
+        throw new RangeError(`Invalid DataMatrix square size ${columns}. Must be one of ${F.SQUARE_SIZES.join(', ')}`);
+      }
+      if (rows && rows !== columns) {
+        throw new RangeError(`Invalid DataMatrix rows ${rows}. Square symbols have as many rows as columns`);
+      }
+      rows = 0;
+    } else if (!F.RECTANGLE_SIZES.some(([c, r]) => c === columns && r === rows)) {
+      throw new RangeError(`Invalid DataMatrix rectangle ${columns}x${rows}. Must be one of ${
+        F.RECTANGLE_SIZES.map(([c, r]) => `${c}x${r}`).join(', ')
+      } (columns x rows)`);
+    }
+
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_TYPE, F.SHAPE[shape], columns, rows));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_SIZE, size));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_STORE, 0x30, dataRaw));
+    this.buffer.write(_.CODE2D_FUNCTION(F.CN, F.FN_PRINT, 0x30));
+    return this;
+  }
+
+  /**
+   * [printable width in dots, from options.dots or 12 dots per font A column]
+   * The current width is not used: it counts the columns of the current font.
+   * @param  {[Object]} options [optional] { dots }
+   * @return {[Number]}
+   */
+  _dotWidth(options = {}) {
+    const columns = (this.options && this.options.width) || (this._profile && this._profile.columns.A) || 48;
+    return options.dots || (this.options && this.options.dots) ||
+      (this._profile && this._profile.dots) || columns * 12;
+  }
+
   /**
    * [image description]
+   *
+   * Images wider than the printable width are scaled down first, see PrintImage.fit.
+   * Printers on a slow connection (e.g.: Serial) may need time to process the
+   * graphical data: flush() and send() wait the transport's imageDelay (200ms by
+   * default) after it, and its throttle between chunks.
+   *
    * @param  {[type]} image   [description]
    * @param  {[type]} density [description]
+   * @param  {[Object]} options [optional] { fit, dots, resize, upscale }
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  image(image, density = 'd24', options = {}) {
+    this._bitImage(image, density, options);
+    this._pauses.push(this.buffer.size);
+    return this;
+  }
+
+  /**
+   * [write an image as ESC * bit image stripes]
+   * @param  {[PrintImage]} image   [mandatory]
+   * @param  {[String]}     density [mandatory] s8, d8, s24 or d24
+   * @param  {[Object]}     options [optional] { fit, dots, resize, upscale }
    * @return {[Printer]} printer  [the escpos printer instance]
    */
-  async image(image, density = 'd24') {
+  _bitImage(image, density, options = {}) {
     if (!(image instanceof PrintImage)) throw new TypeError('Only escpos.getImage supported');
     const n = ~['D8', 'S8'].indexOf(utils.upperCase(density)) ? 1 : 3;
     const header = _.BITMAP_FORMAT[`BITMAP_${utils.upperCase(density)}`];
+    if (options.fit !== false) {
+      // single density modes print every dot twice as wide
+      const dots = this._dotWidth(options) / (~['S8', 'S24'].indexOf(utils.upperCase(density)) ? 2 : 1);
+      image = image.fit(Math.floor(dots), { ...options, multiple: n * 8 });
+    }
     const bitmap = image.toBitmap(n * 8);
 
     this.lineSpace(0); // set line spacing to 0
@@ -590,27 +1201,49 @@ export class Printer {
       this.buffer.write(line);
       this.buffer.write(_.EOL);
     });
-    // added a delay so the printer can process the graphical data
-    // when connected via slower connection ( e.g.: Serial)
-    await new Promise((resolve) => {
-      setTimeout(() => { resolve() }, 200);
-    });
     return this.lineSpace();
   }
 
   /**
    * [raster description]
+   *
+   * Images wider than the printable width are scaled down first, see PrintImage.fit.
+   *
    * @param  {[type]} image [description]
    * @param  {[type]} mode  Raster mode (
+   * @param  {[Object]} options [optional] { fit, dots, resize, upscale }
    * @return {[Printer]} printer  [the escpos printer instance]
    */
-  raster(image, mode = 'NORMAL') {
+  raster(image, mode = 'NORMAL', options = {}) {
     if (!(image instanceof PrintImage))
       throw new TypeError('Only escpos.getImage supported');
     mode = utils.upperCase(mode);
     if (mode === 'DHDW' ||
       mode === 'DWH' ||
       mode === 'DHW') mode = 'DWDH';
+    if (this._capability('image') === 'bitimage') {
+      // no GS v 0 on this printer, single density bit images are double width
+      return this._bitImage(image, mode === 'DW' || mode === 'DWDH' ? 's24' : 'd24', options);
+    }
+    if (options.fit !== false) {
+      const dots = this._dotWidth(options) / (mode === 'DW' || mode === 'DWDH' ? 2 : 1);
+      image = image.fit(Math.floor(dots), { ...options, multiple: 8 });
+    }
+    if (this._model === 'star') {
+      // Star Line Mode has no double width/height raster, scale the image instead
+      if (mode !== 'NORMAL') {
+        const { width, height } = image.size;
+        const [sx, sy] = { DW: [2, 1], DH: [1, 2], DWDH: [2, 2] }[mode] || [1, 1];
+        image = new PrintImage(resizePixels(image.pixels, width * sx, height * sy, 'nearest'), image.options);
+      }
+      const raster = image.toRaster();
+      this.buffer.write(_.MODEL.STAR.RASTER);
+      this.buffer.writeUInt16LE(raster.width);
+      this.buffer.writeUInt16LE(raster.height);
+      this.buffer.writeUInt8(0);
+      this.buffer.write(raster.data);
+      return this;
+    }
     const raster = image.toRaster();
     const header = _.GSV0_FORMAT[`GSV0_${mode}`];
     this.buffer.write(header);
@@ -620,12 +1253,45 @@ export class Printer {
     return this;
   }
 
+  /**
+   * [function enable or disable Automatic Status Back (GS a n)]
+   *
+   * @usage
+   * 1) asb() enables drawer, online, error and paper reports
+   * 2) asb({ drawer: false, paper: true })
+   * 3) asb(false) disables ASB
+   *
+   * @param  {[Object|Boolean|Number]} options [optional]
+   * @return {[Printer]} printer  [the escpos printer instance]
+   */
+  asb(options = true) {
+    let n = 0;
+    if (typeof options === 'number') n = options;
+    else if (options === true) n = 0x0f;
+    else if (options) {
+      const { drawer = true, online = true, error = true, paper = true } = options;
+      if (drawer) n |= _.STATUS.ASB_DRAWER;
+      if (online) n |= _.STATUS.ASB_ONLINE;
+      if (error) n |= _.STATUS.ASB_ERROR;
+      if (paper) n |= _.STATUS.ASB_PAPER;
+    }
+    this.buffer.write(_.STATUS.ASB(n));
+    return this;
+  }
+
   /**
    * [function Send pulse to kick the cash drawer]
    * @param  {[type]} pin [description]
    * @return {[Printer]} printer  [the escpos printer instance]
    */
   cashdraw(pin = 2) {
+    if (this._model === 'star') {
+      // Star drives drawer 1 and 2 instead of connector pins 2 and 5
+      this.buffer.write(_.CASH_DRAWER[
+        pin === 5 ? 'STAR_CD_KICK_2' : 'STAR_CD_KICK_1'
+      ]);
+      return this;
+    }
     this.buffer.write(_.CASH_DRAWER[
       pin === 5 ? 'CD_KICK_5' : 'CD_KICK_2'
     ]);
@@ -653,6 +1319,18 @@ export class Printer {
    */
   cut(partial = false, feed = 3) {
     this.feed(feed);
+    const cutter = this._capability('cutter');
+    if (cutter === 'none') {
+      console.warn('This printer profile has no cutter, paper is only fed');
+      return this;
+    }
+    if (cutter === 'full' || cutter === 'partial') partial = cutter === 'partial';
+    if (this._model === 'star') {
+      this.buffer.write(_.PAPER[
+        partial ? 'STAR_PART_CUT' : 'STAR_FULL_CUT'
+      ]);
+      return this;
+    }
     this.buffer.write(_.PAPER[
       partial ? 'PAPER_PART_CUT' : 'PAPER_FULL_CUT'
     ]);
@@ -721,6 +1399,7 @@ export class Printer {
    */
   emphasize() {
     this.buffer.write(_.TEXT_FORMAT.STAR_TXT_EMPHASIZED);
+    this._state.bold = true;
     return this;
   }
 
@@ -730,15 +1409,134 @@ export class Printer {
    */
   cancelEmphasize() {
     this.buffer.write(_.TEXT_FORMAT.STAR_CANCEL_TXT_EMPHASIZED);
+    this._state.bold = false;
     return this;
   }
 
   getBuffer() {
     return this.buffer.buffer
   }
+
+  /**
+   * [function render the pending buffer as it would print, without sending it]
+   * @param  {[Object]} options [optional] { format: html | svg | blocks, width, dots, encoding }
+   * @return {[String|Array<Object>]} preview
+   */
+  preview(options = {}) {
+    return renderPreview(this.buffer.render(), {
+      width: this.width,
+      dots: this._dotWidth(),
+      encoding: this.encoding,
+      codePages: this._capability('codePages'),
+      model: this._model,
+      ...options,
+    });
+  }
+
+  /**
+   * [function write the pending buffer to a transport in packet-sized chunks, then clear it]
+   * The transport's imageDelay is waited after each image(), see Transport.
+   * @param  {[Transport]} transport [optional] defaults to options.transport
+   * @return {[Promise<Printer>]} printer  [the escpos printer instance]
+   */
+  async flush(transport = this.transport) {
+    if (!transport) throw new TypeError('flush requires a transport');
+    const data = this.buffer.flush(true);
+    const pauses = this._pauses;
+    this._pauses = [];
+    if (this._profile && data.length > this._profile.bufferSize) {
+      console.warn(`Sending ${data.length} bytes, more than the ${this._profile.bufferSize} byte buffer of printer profile ${this._profile.name}`);
+    }
+    await writeChunks(transport, data, pauses);
+    return this;
+  }
+
+  /**
+   * [function open the transport, flush the buffer and close it again]
+   * The async end of a chain: print() keeps writing raw content to the buffer,
+   * so the step that sends a receipt is called send().
+   *
+   * @usage
+   *   await printer.align('ct').image(logo).text('Thank you').cut().send(transport);
+   *
+   * @param  {[Transport]} transport [optional] defaults to options.transport
+   * @return {[Promise<Printer>]} printer  [the escpos printer instance]
+   */
+  async send(transport = this.transport) {
+    if (!transport) throw new TypeError('send requires a transport');
+    if (!transport.opened) await transport.open();
+    try {
+      await this.flush(transport);
+    } finally {
+      await transport.close();
+    }
+    return this;
+  }
+
+  /**
+   * [function query real-time status (DLE EOT n) through a bidirectional transport]
+   * The request is written straight to the transport, the pending buffer is left untouched.
+   * @param  {[String|Number]} type      [optional] printer | offline | error | paper, or 1-4
+   * @param  {[Transport]}     transport [optional] defaults to options.transport
+   * @return {[Promise<Object>]} status  [see parseStatus]
+   */
+  async getStatus(type = 'printer', transport = this.transport) {
+    if (!transport) throw new TypeError('getStatus requires a transport');
+    return queryStatus(transport, type);
+  }
+
+  /**
+   * [function query all four real-time statuses and merge them]
+   * @param  {[Transport]} transport [optional] defaults to options.transport
+   * @return {[Promise<Object>]} status { online, coverOpen, paperEnd, paperNearEnd, drawerOpen, cutterError, ... }
+   */
+  async getFullStatus(transport = this.transport) {
+    if (!transport) throw new TypeError('getFullStatus requires a transport');
+    return queryFullStatus(transport);
+  }
+
+  /**
+   * [function read one Automatic Status Back block, asb() must have been sent before]
+   * @param  {[Transport]} transport [optional] defaults to options.transport
+   * @return {[Promise<Object>]} status  [see parseAsbStatus]
+   */
+  async readAsbStatus(transport = this.transport) {
+    if (!transport) throw new TypeError('readAsbStatus requires a transport');
+    return parseAsbStatus(await transport.read(4));
+  }
 }
 
 export default Printer;
 export const getImage = imgPixels;
 export const getDomImage = domImgPixels;
 export const command = _;
+/**
+ * [function create a print bridge server that renders templates with Printer, see lib/bridge.js]
+ */
+export const createBridge = (options) => createPrintBridge({ Printer, ...options });
+export { PrintImage };
+export { toMonochrome } from "./dither";
+export { decodeImage, decodePng, decodeBmp, decodeGif } from "./node-pixels";
+export { parseStatus, parseAsbStatus, queryStatus, queryFullStatus, notReadyReasons } from "./status";
+export { encodeQrcode, qrcodeImage } from "./qrcode";
+export { encodeCode128, validateBarcode, BarcodeError } from "./barcode";
+export { renderTemplate, parseMarkup, TemplateError } from "./template";
+export { layoutColumns } from "./layout";
+export { interpret, renderPreview } from "./preview";
+export { tokenize } from "./parser";
+export { registerProfile, getProfile, listProfiles } from "./profiles";
+export { disassemble, formatTrace } from "./disassembler";
+export { PrintQueue, PrinterNotReadyError, MemoryStorage, FileStorage, IndexedDbStorage } from "./queue";
+export { BridgeError } from "./bridge";
+export { EposPrinter, escapeXml } from "./epos";
+export {
+  Transport,
+  MemoryTransport,
+  UsbTransport,
+  SerialTransport,
+  BluetoothTransport,
+  NetworkTransport,
+  BridgeTransport,
+  EposTransport,
+  EposError,
+} from "./transport";
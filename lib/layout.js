@@ -0,0 +1,253 @@
+'use strict';
+
+import { textLength, wrapText, upperCase } from "./utils";
+import { codeSystemOf } from "./codepages";
+
+/**
+ * Column layout: rows of cells laid out on lines of a fixed width. Cell text
+ * wraps within its column and every line of a row is padded to the same
+ * column widths, so rows line up. Widths are measured with utils.textLength,
+ * a CJK character takes two columns. Box-drawing borders take two columns in
+ * a double-byte encoding and one in a single-byte code page; with two-column
+ * borders, column widths are made even so the rules line up.
+ *
+ * Column widths:
+ *   12         fixed, in columns
+ *   '25%'      percentage of the line
+ *   'auto'     as wide as the widest cell text; when the line is full the widest
+ *              auto columns give way first
+ *   undefined  shares what is left equally with the other columns without a width
+ *
+ * @usage
+ *   layoutColumns([['Tea', '3.00'], ['Green tea', '12.50']], {
+ *     width: 32,
+ *     columns: [{}, { width: 'auto', align: 'right' }],
+ *   })
+ *   => [[{ text: 'Tea                         3.00' }], [{ text: 'Green tea                  12.50' }]]
+ */
+
+const BORDERS = {
+  single: { h: '─', v: '│', top: ['┌', '┬', '┐'], middle: ['├', '┼', '┤'], bottom: ['└', '┴', '┘'] },
+  double: { h: '═', v: '║', top: ['╔', '╦', '╗'], middle: ['╠', '╬', '╣'], bottom: ['╚', '╩', '╝'] },
+  ascii: { h: '-', v: '|', top: ['+', '+', '+'], middle: ['+', '+', '+'], bottom: ['+', '+', '+'] },
+};
+
+// integers adding up to total, in proportion to weights; remainders go to the largest fractions, leftmost first
+function distribute(total, weights) {
+  const sum = weights.reduce((acc, w) => acc + w, 0);
+  const exact = weights.map((w) => (sum ? (total * w) / sum : total / weights.length));
+  const result = exact.map(Math.floor);
+  let left = total - result.reduce((acc, n) => acc + n, 0);
+  exact
+    .map((value, i) => ({ i, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.i - b.i)
+    .forEach(({ i }) => {
+      if (left > 0) {
+        result[i]++;
+        left--;
+      }
+    });
+  return result;
+}
+
+// widths no wider than wanted, adding up to at most total: the widest give way first
+function shrink(total, wanted) {
+  if (wanted.reduce((a, b) => a + b, 0) <= total) return wanted;
+  const result = wanted.slice();
+  const open = wanted.map((w, i) => i).sort((a, b) => wanted[a] - wanted[b] || a - b);
+  let left = total;
+  while (open.length && wanted[open[0]] <= Math.floor(left / open.length)) {
+    const i = open.shift();
+    left -= wanted[i];
+  }
+  const shares = distribute(left, open.map(() => 1));
+  open.slice().sort((a, b) => a - b).forEach((i, k) => { result[i] = shares[k]; });
+  return result;
+}
+
+function padding(column) {
+  const value = column.padding || 0;
+  return Array.isArray(value) ? [value[0] || 0, value[1] || 0] : [value, value];
+}
+
+function cellOf(row, i) {
+  const cell = row[i];
+  if (cell !== null && typeof cell === 'object') return cell;
+  return { text: cell };
+}
+
+function textOf(cell) {
+  return cell.text === undefined || cell.text === null ? '' : String(cell.text);
+}
+
+function sizeOf(cell, options) {
+  return cell.size || options.size || [1, 1];
+}
+
+function widthKind(width) {
+  if (width === undefined || width === null) return { kind: 'fill' };
+  if (width === 'auto') return { kind: 'auto' };
+  if (typeof width === 'number' && Number.isInteger(width) && width > 0) return { kind: 'fixed', value: width };
+  const percent = /^(\d+(?:\.\d+)?)%$/.exec(String(width));
+  if (percent) return { kind: 'percent', value: Number(percent[1]) };
+  throw new RangeError(`Invalid column width ${width}. Use a number of columns, a percentage or 'auto'`);
+}
+
+// unit: columns a border rule character takes
+function columnWidths(rows, columns, available, options, unit) {
+  const kinds = columns.map((column) => widthKind(column.width));
+  const widths = kinds.map((kind) => (kind.kind === 'fixed' ? kind.value : 0));
+  const minimum = (i) => padding(columns[i]).reduce((a, b) => a + b, 0) + 1;
+
+  const percents = kinds.map((kind, i) => (kind.kind === 'percent' ? i : -1)).filter((i) => i >= 0);
+  if (percents.length) {
+    const exact = percents.map((i) => (available * kinds[i].value) / 100);
+    const total = Math.min(Math.round(exact.reduce((a, b) => a + b, 0)), available);
+    distribute(total, exact).forEach((width, k) => { widths[percents[k]] = width; });
+  }
+
+  const used = () => widths.reduce((a, b) => a + b, 0);
+  const fills = kinds.map((kind, i) => (kind.kind === 'fill' ? i : -1)).filter((i) => i >= 0);
+  const autos = kinds.map((kind, i) => (kind.kind === 'auto' ? i : -1)).filter((i) => i >= 0);
+  if (autos.length) {
+    const natural = autos.map((i) => rows.reduce((widest, row) => {
+      const cell = cellOf(row, i);
+      const lines = textOf(cell).split(/\r?\n/);
+      const text = Math.max(...lines.map((line) => textLength(line))) * sizeOf(cell, options)[0];
+      return Math.max(widest, text);
+    }, 1) + minimum(i) - 1);
+    const room = available - used() - fills.reduce((acc, i) => acc + minimum(i), 0);
+    shrink(Math.max(room, 0), natural).forEach((width, k) => { widths[autos[k]] = width; });
+  }
+  if (fills.length) {
+    distribute(Math.max(available - used(), 0), fills.map(() => 1)).forEach((width, k) => { widths[fills[k]] = width; });
+  }
+
+  if (used() > available) {
+    throw new RangeError(`Columns need ${used()} columns, a line has ${available}`);
+  }
+  if (unit === 2) evenWidths(widths);
+  widths.forEach((width, i) => {
+    if (width < minimum(i)) throw new RangeError(`Column ${i + 1} is too narrow for its padding, ${width} columns`);
+  });
+  return widths;
+}
+
+// rules of two-column border characters only line up over even widths: odd widths
+// are paired up and the wider of each pair gives a column to the other, with an
+// odd total the last one is a column short
+function evenWidths(widths) {
+  const odd = widths.map((width, i) => (width % 2 ? i : -1)).filter((i) => i >= 0);
+  for (let k = 0; k < odd.length; k += 2) {
+    const [a, b] = [odd[k], odd[k + 1]];
+    if (b === undefined) widths[a]--;
+    else if (widths[a] >= widths[b]) {
+      widths[a]--;
+      widths[b]++;
+    } else {
+      widths[a]++;
+      widths[b]--;
+    }
+  }
+  return widths;
+}
+
+// columns a border character takes with the encoding of the text
+function borderLength(text, options) {
+  if (options.encoding === undefined || codeSystemOf(options.encoding)) return textLength(text);
+  return text.length;
+}
+
+// a rule line of the border: ┌───┬───┐
+function rule(border, widths, [left, cross, right], options) {
+  const h = borderLength(border.h, options);
+  const fill = (width) => border.h.repeat(Math.floor(width / h)) + ' '.repeat(width % h);
+  return [{ text: left + widths.map(fill).join(cross) + right }];
+}
+
+// merge neighbouring plain segments and drop empty ones
+function compact(segments) {
+  return segments.reduce((acc, segment) => {
+    if (segment.text === '') return acc;
+    const last = acc[acc.length - 1];
+    if (last && !last.style && !last.size && !segment.style && !segment.size) last.text += segment.text;
+    else acc.push({ ...segment });
+    return acc;
+  }, []);
+}
+
+/**
+ * [lay rows of cells out in columns]
+ *
+ * A line is a list of segments { text, style, size }: cell text carries the
+ * cell's style and size, padding and borders are plain text of size [1, 1].
+ * Input is never modified, the same input always gives the same lines.
+ *
+ * @param  {[Array<Array>]} rows    [mandatory] cells are strings, numbers or { text, align, style, size: [w, h] }
+ * @param  {[Object]}       options [mandatory]
+ *   width:      line width in columns
+ *   columns:    [{ width, align: left | center | right, padding: n | [left, right], style }]
+ *   size:       default cell size, [1, 1]
+ *   border:     'single', 'double' or 'ascii', true for 'single'
+ *   separators: rule lines between rows when there is a border
+ *   encoding:   encoding the lines are printed in, for the width of border characters;
+ *               without it they are measured like text
+ * @return {[Array<Array<Object>>]} lines
+ */
+export function layoutColumns(rows, options) {
+  if (!rows.length) return [];
+  const count = Math.max((options.columns || []).length, ...rows.map((row) => row.length));
+  const columns = Array.from({ length: count }, (v, i) => (options.columns && options.columns[i]) || {});
+  const border = options.border ? BORDERS[options.border === true ? 'single' : options.border] : null;
+  if (options.border && !border) {
+    throw new RangeError(`Unknown border ${options.border}. Use ${Object.keys(BORDERS).join(', ')}`);
+  }
+  const vertical = border ? borderLength(border.v, options) : 0;
+  const available = options.width - vertical * (count + 1);
+  const unit = border ? borderLength(border.h, options) : 1;
+  const widths = columnWidths(rows, columns, available, options, unit);
+
+  const lines = [];
+  if (border) lines.push(rule(border, widths, border.top, options));
+  rows.forEach((row, r) => {
+    if (border && options.separators && r > 0) lines.push(rule(border, widths, border.middle, options));
+    const cells = columns.map((column, i) => {
+      const cell = cellOf(row, i);
+      const size = sizeOf(cell, options);
+      const [left, right] = padding(column);
+      const room = widths[i] - left - right;
+      const wrapped = [].concat(...textOf(cell).split(/\r?\n/).map(
+        (text) => wrapText(text, Math.max(Math.floor(room / size[0]), 1))
+      ));
+      return {
+        lines: wrapped,
+        room,
+        left,
+        right,
+        size,
+        style: cell.style || column.style,
+        align: upperCase(cell.align || column.align || 'left').charAt(0),
+      };
+    });
+    const height = Math.max(...cells.map((cell) => cell.lines.length));
+    for (let l = 0; l < height; l++) {
+      const segments = [];
+      if (border) segments.push({ text: border.v });
+      cells.forEach((cell) => {
+        const text = cell.lines[l] || '';
+        const free = Math.max(cell.room - textLength(text) * cell.size[0], 0);
+        const before = cell.align === 'C' ? Math.floor(free / 2) : cell.align === 'R' ? free : 0;
+        segments.push({ text: ' '.repeat(cell.left + before) });
+        const segment = { text };
+        if (cell.style) segment.style = cell.style;
+        if (cell.size[0] !== 1 || cell.size[1] !== 1) segment.size = cell.size;
+        segments.push(segment);
+        segments.push({ text: ' '.repeat(free - before + cell.right) });
+        if (border) segments.push({ text: border.v });
+      });
+      lines.push(compact(segments));
+    }
+  });
+  if (border) lines.push(rule(border, widths, border.bottom, options));
+  return lines;
+}
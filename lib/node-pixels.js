@@ -0,0 +1,287 @@
+const { Buffer } = require('buffer')
+const zlib          = require('zlib')
+const ndarray       = require('ndarray')
+const GifReader     = require('omggif').GifReader
+
+// Decoders that need neither DOM nor canvas, so images can be loaded in Node.
+// Every decoder returns the same [width, height, 4] RGBA ndarray as url-pixels.
+
+function rgbaArray(width, height, data) {
+  return ndarray(data, [width, height, 4], [4, 4*width, 1], 0)
+}
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+
+// channels per color type: gray, -, RGB, palette, gray+alpha, -, RGBA
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }
+
+// Adam7 passes: [x start, y start, x step, y step]
+const ADAM7 = [
+  [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+  [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+]
+
+function paeth(a, b, c) {
+  const p = a + b - c
+  const pa = Math.abs(p - a)
+  const pb = Math.abs(p - b)
+  const pc = Math.abs(p - c)
+  if(pa <= pb && pa <= pc) return a
+  return pb <= pc ? b : c
+}
+
+// undo the per-scanline filters in place, returns the offset after the pass
+function unfilter(data, offset, width, height, bpp, stride) {
+  let prev = Buffer.alloc(stride)
+  for(let y=0; y<height; ++y) {
+    const filter = data[offset]
+    const line = data.subarray(offset + 1, offset + 1 + stride)
+    for(let i=0; i<stride; ++i) {
+      const left = i >= bpp ? line[i - bpp] : 0
+      const up = prev[i]
+      const upLeft = i >= bpp ? prev[i - bpp] : 0
+      switch(filter) {
+        case 0: break
+        case 1: line[i] = (line[i] + left) & 0xff; break
+        case 2: line[i] = (line[i] + up) & 0xff; break
+        case 3: line[i] = (line[i] + ((left + up) >> 1)) & 0xff; break
+        case 4: line[i] = (line[i] + paeth(left, up, upLeft)) & 0xff; break
+        default: throw new Error('Invalid PNG filter type ' + filter)
+      }
+    }
+    prev = line
+    offset += stride + 1
+  }
+  return offset
+}
+
+export function decodePng(buffer) {
+  if(!PNG_SIGNATURE.equals(buffer.subarray(0, 8))) {
+    throw new Error('Not a PNG image')
+  }
+  let offset = 8
+  let header = null
+  let palette = null
+  let transparency = null
+  const idat = []
+  while(offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset)
+    const type = buffer.toString('ascii', offset + 4, offset + 8)
+    const chunk = buffer.subarray(offset + 8, offset + 8 + length)
+    offset += length + 12
+    if(type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        depth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      }
+    } else if(type === 'PLTE') {
+      palette = chunk
+    } else if(type === 'tRNS') {
+      transparency = chunk
+    } else if(type === 'IDAT') {
+      idat.push(chunk)
+    } else if(type === 'IEND') {
+      break
+    }
+  }
+  if(!header) throw new Error('PNG image has no IHDR chunk')
+
+  const { width, height, depth, colorType, interlace } = header
+  const channels = PNG_CHANNELS[colorType]
+  if(!channels || [1, 2, 4, 8, 16].indexOf(depth) < 0) {
+    throw new Error('Unsupported PNG color type ' + colorType + ' with bit depth ' + depth)
+  }
+  if(colorType === 3 && !palette) throw new Error('PNG palette image has no PLTE chunk')
+
+  const raw = zlib.inflateSync(Buffer.concat(idat))
+  const out = new Uint8Array(width * height * 4)
+  const bitsPerPixel = channels * depth
+  const bpp = Math.max(1, bitsPerPixel >> 3)
+  const maxValue = (1 << depth) - 1
+
+  // raw sample n of a scanline, and the same value scaled to 0-255
+  const sample = (line, n) => {
+    if(depth === 8) return line[n]
+    if(depth === 16) return line.readUInt16BE(n * 2)
+    const bit = n * depth
+    return (line[bit >> 3] >> (8 - depth - (bit & 7))) & maxValue
+  }
+  const scale = (value) => (depth === 8 ? value : depth === 16 ? value >> 8 : Math.round(value * 255 / maxValue))
+
+  const putPixel = (line, px, x, y) => {
+    const s = px * channels
+    let rgba
+    if(colorType === 3) {
+      const index = sample(line, s)
+      const alpha = transparency && index < transparency.length ? transparency[index] : 255
+      rgba = [palette[index * 3], palette[index * 3 + 1], palette[index * 3 + 2], alpha]
+    } else if(colorType === 0 || colorType === 4) {
+      const gray = sample(line, s)
+      let alpha = colorType === 4 ? scale(sample(line, s + 1)) : 255
+      if(colorType === 0 && transparency && gray === transparency.readUInt16BE(0)) alpha = 0
+      rgba = [scale(gray), scale(gray), scale(gray), alpha]
+    } else {
+      const [r, g, b] = [sample(line, s), sample(line, s + 1), sample(line, s + 2)]
+      let alpha = colorType === 6 ? scale(sample(line, s + 3)) : 255
+      if(colorType === 2 && transparency && r === transparency.readUInt16BE(0) &&
+        g === transparency.readUInt16BE(2) && b === transparency.readUInt16BE(4)) alpha = 0
+      rgba = [scale(r), scale(g), scale(b), alpha]
+    }
+    out.set(rgba, (y * width + x) * 4)
+  }
+
+  const passes = interlace ? ADAM7 : [[0, 0, 1, 1]]
+  let pos = 0
+  passes.forEach(([x0, y0, dx, dy]) => {
+    const pw = Math.ceil((width - x0) / dx)
+    const ph = Math.ceil((height - y0) / dy)
+    if(pw <= 0 || ph <= 0) return
+    const stride = Math.ceil(pw * bitsPerPixel / 8)
+    const start = pos
+    pos = unfilter(raw, pos, pw, ph, bpp, stride)
+    for(let y=0; y<ph; ++y) {
+      const line = raw.subarray(start + y * (stride + 1) + 1, start + (y + 1) * (stride + 1))
+      for(let x=0; x<pw; ++x) putPixel(line, x, x0 + x * dx, y0 + y * dy)
+    }
+  })
+  return rgbaArray(width, height, out)
+}
+
+// position and width of the bits selected by a BI_BITFIELDS mask
+function maskShift(mask) {
+  if(!mask) return { shift: 0, max: 0 }
+  let shift = 0
+  while(!((mask >>> shift) & 1)) shift++
+  return { shift, max: mask >>> shift }
+}
+
+export function decodeBmp(buffer) {
+  if(buffer.toString('ascii', 0, 2) !== 'BM') {
+    throw new Error('Not a BMP image')
+  }
+  const dataOffset = buffer.readUInt32LE(10)
+  const headerSize = buffer.readUInt32LE(14)
+  const width = buffer.readInt32LE(18)
+  const rawHeight = buffer.readInt32LE(22)
+  const bitCount = buffer.readUInt16LE(28)
+  const compression = buffer.readUInt32LE(30)
+  const height = Math.abs(rawHeight)
+  const topDown = rawHeight < 0
+
+  if(headerSize < 40) {
+    throw new Error('Unsupported BMP header size ' + headerSize)
+  }
+  if(compression !== 0 && compression !== 3) {
+    throw new Error('Unsupported BMP compression ' + compression)
+  }
+
+  let masks = null
+  if(compression === 3) {
+    // masks follow a 40 byte header, or are part of a V4/V5 header
+    const at = 14 + 40
+    masks = [buffer.readUInt32LE(at), buffer.readUInt32LE(at + 4), buffer.readUInt32LE(at + 8),
+      headerSize >= 56 ? buffer.readUInt32LE(at + 12) : 0].map(maskShift)
+  } else if(bitCount === 16) {
+    masks = [0x7c00, 0x03e0, 0x001f, 0].map(maskShift)
+  }
+
+  let palette = null
+  if(bitCount <= 8) {
+    const colors = buffer.readUInt32LE(46) || (1 << bitCount)
+    palette = []
+    for(let i=0; i<colors; ++i) {
+      const p = 14 + headerSize + i * 4
+      palette.push([buffer[p + 2], buffer[p + 1], buffer[p]])
+    }
+  } else if([16, 24, 32].indexOf(bitCount) < 0) {
+    throw new Error('Unsupported BMP bit count ' + bitCount)
+  }
+
+  const stride = Math.ceil(width * bitCount / 32) * 4
+  const out = new Uint8Array(width * height * 4)
+  const channel = (value, { shift, max }) => (max ? Math.round(((value >>> shift) & max) * 255 / max) : 255)
+
+  for(let y=0; y<height; ++y) {
+    const row = dataOffset + (topDown ? y : height - 1 - y) * stride
+    for(let x=0; x<width; ++x) {
+      const i = (y * width + x) * 4
+      let rgba
+      if(palette) {
+        const bit = x * bitCount
+        const index = (buffer[row + (bit >> 3)] >> (8 - bitCount - (bit & 7))) & ((1 << bitCount) - 1)
+        rgba = (palette[index] || [0, 0, 0]).concat(255)
+      } else if(bitCount === 24 || (bitCount === 32 && !masks)) {
+        const p = row + x * (bitCount >> 3)
+        rgba = [buffer[p + 2], buffer[p + 1], buffer[p], 255]
+      } else {
+        const value = bitCount === 16 ? buffer.readUInt16LE(row + x * 2) : buffer.readUInt32LE(row + x * 4)
+        rgba = [channel(value, masks[0]), channel(value, masks[1]), channel(value, masks[2]), channel(value, masks[3])]
+      }
+      out.set(rgba, i)
+    }
+  }
+  return rgbaArray(width, height, out)
+}
+
+// first frame only, PrintImage prints a single picture
+export function decodeGif(buffer) {
+  const reader = new GifReader(new Uint8Array(buffer))
+  const out = new Uint8Array(reader.width * reader.height * 4)
+  reader.decodeAndBlitFrameRGBA(0, out)
+  return rgbaArray(reader.width, reader.height, out)
+}
+
+/**
+ * [decode an image Buffer by its magic bytes]
+ * @param  {[Buffer]} buffer [mandatory]
+ * @return {[ndarray]}
+ */
+export function decodeImage(buffer) {
+  if(PNG_SIGNATURE.equals(buffer.subarray(0, 8))) return decodePng(buffer)
+  if(buffer.toString('ascii', 0, 2) === 'BM') return decodeBmp(buffer)
+  if(buffer.toString('ascii', 0, 4) === 'GIF8') return decodeGif(buffer)
+  throw new Error('Unsupported image format, only PNG, BMP and GIF can be decoded without a DOM')
+}
+
+/**
+ * [decode the bytes of a data URI, base64 or percent-encoded]
+ * @param  {[String]} uri [mandatory] data:[<mediatype>][;base64],<data>
+ * @return {[Buffer]}
+ */
+export function decodeDataUri(uri) {
+  const match = /^data:([^,]*?)(;base64)?,([\s\S]*)$/i.exec(uri)
+  if(!match) throw new Error('Error parsing data URI')
+  if(match[2]) return Buffer.from(match[3], 'base64')
+  return Buffer.from(match[3].replace(/%([0-9a-f]{2})/gi, function(m, hex) {
+    return String.fromCharCode(parseInt(hex, 16))
+  }), 'latin1')
+}
+
+/**
+ * [load pixels from a Buffer, a data URI or a file path, without DOM or canvas]
+ * @param  {[Buffer|String]} source [mandatory]
+ * @param  {[Function]}      cb     [mandatory] (error, pixels)
+ */
+export default function getNodePixels(source, cb) {
+  process.nextTick(function() {
+    let pixels
+    try {
+      let buffer = source
+      if(typeof source === 'string') {
+        buffer = source.indexOf('data:') === 0
+          ? decodeDataUri(source)
+          : require('fs').readFileSync(source)
+      } else if(!Buffer.isBuffer(source)) {
+        buffer = Buffer.from(source)
+      }
+      pixels = decodeImage(buffer)
+    } catch(err) {
+      cb(err)
+      return
+    }
+    cb(null, pixels)
+  })
+}
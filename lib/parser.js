@@ -0,0 +1,345 @@
+'use strict';
+
+import { Buffer } from "buffer";
+
+/**
+ * ESC/POS byte stream tokenizer. Splits a buffer into text runs and commands
+ * with their parameters, without interpreting them.
+ *
+ * Tokens:
+ *   { offset, length, text: Buffer }                       printable bytes
+ *   { offset, length, command: 'ESC a', params: [1] }      a command, data holds its payload if any
+ *   { offset, length, command, unknown: true }             prefix byte followed by an unknown code
+ *   { offset, length, command, truncated: true }           buffer ends inside the command
+ */
+
+export const CONTROL_NAMES = {
+  0x04: 'EOT',
+  0x05: 'ENQ',
+  0x07: 'BEL',
+  0x09: 'HT',
+  0x0a: 'LF',
+  0x0b: 'VT',
+  0x0c: 'FF',
+  0x0d: 'CR',
+  0x10: 'DLE',
+  0x14: 'DC4',
+  0x1a: 'SUB',
+  0x1b: 'ESC',
+  0x1c: 'FS',
+  0x1d: 'GS',
+  0x1e: 'RS',
+};
+
+// how a command reads its parameters: a number of bytes, or a function
+// (buffer, start) => { params, data, length } | null when the buffer is too short
+const fixed = (n) => n;
+
+const bitImage = (buffer, start) => {
+  if (start + 3 > buffer.length) return null;
+  const [m, nL, nH] = [buffer[start], buffer[start + 1], buffer[start + 2]];
+  const size = (nL + nH * 256) * (m >= 32 ? 3 : 1);
+  if (start + 3 + size > buffer.length) return null;
+  return { params: [m, nL, nH], data: buffer.subarray(start + 3, start + 3 + size), length: 3 + size };
+};
+
+const barcode = (buffer, start) => {
+  if (start + 1 > buffer.length) return null;
+  const m = buffer[start];
+  if (m <= 6) {
+    // format 1: NUL terminated
+    const end = buffer.indexOf(0, start + 1);
+    if (end < 0) return null;
+    return { params: [m], data: buffer.subarray(start + 1, end), length: end - start + 1 };
+  }
+  if (start + 2 > buffer.length) return null;
+  const n = buffer[start + 1];
+  if (start + 2 + n > buffer.length) return null;
+  return { params: [m, n], data: buffer.subarray(start + 2, start + 2 + n), length: 2 + n };
+};
+
+const rasterImage = (buffer, start) => {
+  // GS v 0 m xL xH yL yH d1...dk
+  if (start + 6 > buffer.length) return null;
+  if (buffer[start] !== 0x30) return { params: [], length: 0, unknown: true };
+  const [m, xL, xH, yL, yH] = buffer.subarray(start + 1, start + 6);
+  const size = (xL + xH * 256) * (yL + yH * 256);
+  if (start + 6 + size > buffer.length) return null;
+  return { sub: '0', params: [m, xL + xH * 256, yL + yH * 256], data: buffer.subarray(start + 6, start + 6 + size), length: 6 + size };
+};
+
+const function2d = (buffer, start) => {
+  // GS ( k pL pH cn fn [params]
+  if (start + 3 > buffer.length) return null;
+  if (buffer[start] !== 0x6b) {
+    // other GS ( functions share the pL pH length prefix
+    const len = buffer[start + 1] + buffer[start + 2] * 256;
+    if (start + 3 + len > buffer.length) return null;
+    return { sub: String.fromCharCode(buffer[start]), params: [], data: buffer.subarray(start + 3, start + 3 + len), length: 3 + len };
+  }
+  const len = buffer[start + 1] + buffer[start + 2] * 256;
+  if (start + 3 + len > buffer.length || len < 2) return null;
+  const body = buffer.subarray(start + 3, start + 3 + len);
+  return { sub: 'k', params: [body[0], body[1]], data: body.subarray(2), length: 3 + len };
+};
+
+const cut = (buffer, start) => {
+  if (start + 1 > buffer.length) return null;
+  const m = buffer[start];
+  // m = 65, 66 take a feed amount
+  if (m === 65 || m === 66 || m === 97 || m === 98 || m === 103 || m === 104) {
+    if (start + 2 > buffer.length) return null;
+    return { params: [m, buffer[start + 1]], length: 2 };
+  }
+  return { params: [m], length: 1 };
+};
+
+const legacy2d = (buffer, start) => {
+  // ESC Z v level size nL nH data
+  if (start + 5 > buffer.length) return null;
+  const len = buffer[start + 3] + buffer[start + 4] * 256;
+  if (start + 5 + len > buffer.length) return null;
+  return { params: [buffer[start], String.fromCharCode(buffer[start + 1]), buffer[start + 2]], data: buffer.subarray(start + 5, start + 5 + len), length: 5 + len };
+};
+
+const qsprinterPixel = (buffer, start) => {
+  // ESC # # Q P I X n
+  if (start + 6 > buffer.length) return null;
+  if (buffer.toString('latin1', start, start + 5) !== '#QPIX') return { params: [], length: 0, unknown: true };
+  return { sub: '#QPIX', params: [buffer[start + 5]], length: 6 };
+};
+
+const qsprinterMode = (buffer, start) => {
+  // GS E C n
+  if (start + 2 > buffer.length) return null;
+  if (buffer[start] !== 0x43) return { params: [], length: 0, unknown: true };
+  return { sub: 'C', params: [buffer[start + 1]], length: 2 };
+};
+
+const hardwareReset = (buffer, start) => {
+  // ESC ? LF NUL
+  if (start + 2 > buffer.length) return null;
+  return { params: [buffer[start], buffer[start + 1]], length: 2 };
+};
+
+// ESC GS is only used by STAR Line Mode
+const escGs = (buffer, start) => {
+  if (start + 1 > buffer.length) return null;
+  const code = buffer[start];
+  switch (code) {
+    case 0x61: // ESC GS a n - alignment
+    case 0x74: // ESC GS t n - code page
+      if (start + 2 > buffer.length) return null;
+      return { sub: String.fromCharCode(code), params: [buffer[start + 1]], length: 2 };
+    case 0x79: { // ESC GS y - QR code
+      if (start + 2 > buffer.length) return null;
+      const fn = buffer[start + 1];
+      if (fn === 0x50) return { sub: 'y P', params: [], length: 2 };
+      if (fn === 0x53) {
+        // ESC GS y S n m
+        if (start + 4 > buffer.length) return null;
+        return { sub: 'y S', params: [buffer[start + 2], buffer[start + 3]], length: 4 };
+      }
+      if (fn === 0x44) {
+        // ESC GS y D 1 m nL nH d1...dk
+        if (start + 6 > buffer.length) return null;
+        const len = buffer[start + 4] + buffer[start + 5] * 256;
+        if (start + 6 + len > buffer.length) return null;
+        return { sub: 'y D', params: [buffer[start + 2], buffer[start + 3]], data: buffer.subarray(start + 6, start + 6 + len), length: 6 + len };
+      }
+      return { sub: 'y', params: [], length: 1, unknown: true };
+    }
+    case 0x53: { // ESC GS S m xL xH yL yH n d1...dk - raster image
+      if (start + 7 > buffer.length) return null;
+      const width = buffer[start + 2] + buffer[start + 3] * 256;
+      const height = buffer[start + 4] + buffer[start + 5] * 256;
+      if (start + 7 + width * height > buffer.length) return null;
+      return { sub: 'S', params: [buffer[start + 1], width, height, buffer[start + 6]], data: buffer.subarray(start + 7, start + 7 + width * height), length: 7 + width * height };
+    }
+    default:
+      return { params: [], length: 0, unknown: true };
+  }
+};
+
+const starBarcode = (buffer, start) => {
+  // ESC b n1 n2 n3 n4 d1...dk RS, n4 (height) may itself be 0x1e
+  if (start + 4 > buffer.length) return null;
+  const end = buffer.indexOf(0x1e, start + 4);
+  if (end < 0) return null;
+  return { params: Array.from(buffer.subarray(start, start + 4)), data: buffer.subarray(start + 4, end), length: end - start + 1 };
+};
+
+export const COMMANDS = {
+  0x1b: {
+    0x0c: fixed(0), // print data in page mode
+    0x1d: escGs,
+    0x20: fixed(1), // ESC SP n - character spacing
+    0x21: fixed(1), // ESC ! n - print mode
+    0x23: qsprinterPixel,
+    0x24: fixed(2), // ESC $ nL nH - absolute position
+    0x25: fixed(1), // ESC % n - user-defined characters
+    0x2a: bitImage, // ESC * m nL nH d
+    0x2d: fixed(1), // ESC - n - underline
+    0x32: fixed(0), // ESC 2 - default line spacing
+    0x33: fixed(1), // ESC 3 n - line spacing
+    0x34: fixed(0), // ESC 4 - italic on
+    0x35: fixed(0), // ESC 5 - italic off
+    0x3d: fixed(1), // ESC = n - select peripheral
+    0x3f: hardwareReset,
+    0x40: fixed(0), // ESC @ - initialize
+    0x42: fixed(2), // ESC B n t - beep
+    0x44: (buffer, start) => { // ESC D n1...nk NUL - tab positions
+      const end = buffer.indexOf(0, start);
+      return end < 0 ? null : { params: Array.from(buffer.subarray(start, end)), length: end - start + 1 };
+    },
+    0x45: fixed(1), // ESC E n - emphasized
+    0x46: fixed(0), // ESC F - STAR cancel emphasized
+    0x47: fixed(1), // ESC G n - double strike
+    0x4a: fixed(1), // ESC J n - print and feed n dots
+    0x4d: fixed(1), // ESC M n - font
+    0x4f: fixed(1), // ESC O n - bottom margin
+    0x51: fixed(1), // ESC Q n - right margin
+    0x52: fixed(1), // ESC R n - international character set
+    0x53: fixed(0), // ESC S - standard mode
+    0x54: fixed(1), // ESC T n - print direction in page mode
+    0x56: fixed(1), // ESC V n - 90 degree rotation
+    0x5a: legacy2d,
+    0x5c: fixed(2), // ESC \ nL nH - relative position
+    0x61: fixed(1), // ESC a n - justification
+    0x63: fixed(2), // ESC c 3 n / ESC c 4 n / ESC c 5 n
+    0x64: fixed(1), // ESC d n - print and feed n lines
+    0x69: fixed(0), // ESC i - partial cut (legacy)
+    0x6c: fixed(1), // ESC l n - left margin
+    0x6d: fixed(0), // ESC m - partial cut (legacy)
+    0x70: fixed(3), // ESC p m t1 t2 - drawer kick
+    0x72: fixed(1), // ESC r n - color
+    0x74: fixed(1), // ESC t n - character code table
+    0x7b: fixed(1), // ESC { n - upside down
+  },
+  0x1d: {
+    0x21: fixed(1), // GS ! n - character size
+    0x24: fixed(2), // GS $ nL nH - absolute vertical position
+    0x28: function2d, // GS ( k pL pH cn fn ...
+    0x2f: fixed(1), // GS / m - print downloaded bit image
+    0x42: fixed(1), // GS B n - reverse
+    0x45: qsprinterMode,
+    0x48: fixed(1), // GS H n - HRI position
+    0x49: fixed(1), // GS I n - transmit printer ID
+    0x4c: fixed(2), // GS L nL nH - left margin
+    0x50: fixed(2), // GS P x y - motion units
+    0x56: cut, // GS V m [n]
+    0x57: fixed(2), // GS W nL nH - print area width
+    0x5a: fixed(1), // GS Z n - legacy 2D symbol type
+    0x61: fixed(1), // GS a n - Automatic Status Back
+    0x62: fixed(1), // GS b n - smoothing
+    0x66: fixed(1), // GS f n - HRI font
+    0x68: fixed(1), // GS h n - barcode height
+    0x6b: barcode, // GS k m ...
+    0x72: fixed(1), // GS r n - transmit status
+    0x76: rasterImage, // GS v 0 m xL xH yL yH d
+    0x77: fixed(1), // GS w n - barcode width
+  },
+  0x1c: {
+    0x21: fixed(1), // FS ! n - Kanji print mode
+    0x26: fixed(0), // FS & - Kanji mode on
+    0x2d: fixed(1), // FS - n - Kanji underline
+    0x2e: fixed(0), // FS . - Kanji mode off
+    0x43: fixed(1), // FS C n - Kanji code system
+    0x53: fixed(2), // FS S n1 n2 - Kanji spacing
+    0x57: fixed(1), // FS W n - Kanji quadruple size
+    0x70: fixed(2), // FS p n m - print NV bit image
+  },
+  0x10: {
+    0x04: fixed(1), // DLE EOT n - real-time status
+    0x05: fixed(1), // DLE ENQ n - real-time request
+    0x14: fixed(3), // DLE DC4 fn m t - real-time pulse
+  },
+};
+
+// STAR Line Mode reads some ESC sequences differently
+export const STAR_COMMANDS = Object.assign({}, COMMANDS, {
+  0x1b: Object.assign({}, COMMANDS[0x1b], {
+    0x45: fixed(0), // ESC E - emphasized
+    0x46: fixed(0), // ESC F - cancel emphasized
+    0x62: starBarcode, // ESC b n1 n2 n3 n4 d RS
+    0x69: fixed(2), // ESC i n1 n2 - character expansion
+  }),
+});
+
+// single byte controls that are tokens of their own
+const SINGLE = [0x09, 0x0a, 0x0b, 0x0c, 0x0d];
+const STAR_SINGLE = SINGLE.concat([0x07, 0x1a]); // BEL, SUB - drawers
+
+function codeName(byte) {
+  if (CONTROL_NAMES[byte]) return CONTROL_NAMES[byte];
+  if (byte === 0x20) return 'SP';
+  if (byte > 0x20 && byte < 0x7f) return String.fromCharCode(byte);
+  return `0x${byte.toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * [split an ESC/POS buffer into text and command tokens]
+ * @param  {[Buffer|Uint8Array]} buffer  [mandatory]
+ * @param  {[Object]}            options [optional] { model: 'star' reads STAR Line Mode }
+ * @return {[Array<Object>]} tokens
+ */
+export function tokenize(buffer, options = {}) {
+  buffer = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer);
+  const commands = options.model === 'star' ? STAR_COMMANDS : COMMANDS;
+  const single = options.model === 'star' ? STAR_SINGLE : SINGLE;
+  const tokens = [];
+  let textStart = -1;
+  const flushText = (end) => {
+    if (textStart >= 0) tokens.push({ offset: textStart, length: end - textStart, text: buffer.subarray(textStart, end) });
+    textStart = -1;
+  };
+
+  let i = 0;
+  while (i < buffer.length) {
+    const byte = buffer[i];
+    const table = commands[byte];
+    if (!table && single.indexOf(byte) < 0) {
+      // NUL is padding, everything else below 0x20 without a table is ignored too
+      if (byte >= 0x20 && textStart < 0) textStart = i;
+      else if (byte < 0x20) flushText(i);
+      i++;
+      continue;
+    }
+    flushText(i);
+    if (!table) {
+      tokens.push({ offset: i, length: 1, command: codeName(byte), params: [] });
+      i++;
+      continue;
+    }
+
+    const prefix = codeName(byte);
+    if (i + 1 >= buffer.length) {
+      tokens.push({ offset: i, length: 1, command: prefix, params: [], truncated: true });
+      break;
+    }
+    const code = buffer[i + 1];
+    const spec = table[code];
+    let command = `${prefix} ${codeName(code)}`;
+    if (spec === undefined) {
+      tokens.push({ offset: i, length: 2, command, params: [], unknown: true });
+      i += 2;
+      continue;
+    }
+    const start = i + 2;
+    const parsed = typeof spec === 'number'
+      ? (start + spec <= buffer.length ? { params: Array.from(buffer.subarray(start, start + spec)), length: spec } : null)
+      : spec(buffer, start);
+    if (parsed === null) {
+      tokens.push({ offset: i, length: buffer.length - i, command, params: [], truncated: true });
+      break;
+    }
+    if (parsed.sub) command += ` ${parsed.sub}`;
+    const token = { offset: i, length: 2 + parsed.length, command, params: parsed.params };
+    if (parsed.data) token.data = parsed.data;
+    if (parsed.unknown) token.unknown = true;
+    tokens.push(token);
+    i += token.length;
+  }
+  flushText(buffer.length);
+  return tokens;
+}
@@ -0,0 +1,543 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import iconv from "iconv-lite";
+import * as _ from "./commands";
+import * as utils from "./utils";
+import { tokenize } from "./parser";
+import { encodeQrcode } from "./qrcode";
+import { decodingState } from "./codepages";
+
+/**
+ * Receipt preview. interpret() replays an ESC/POS buffer against a model of
+ * the printer state and returns the printed blocks, renderPreview() turns
+ * those blocks into HTML or SVG at the paper width.
+ *
+ * Dimensions are printer dots: font A is 12 x 24 dots, font B 9 x 17.
+ */
+
+const FONTS = [
+  { width: 12, height: 24 },
+  { width: 9, height: 17 },
+  { width: 9, height: 17 },
+];
+
+const DEFAULT_LINE_SPACING = 30;
+
+const BARCODE_TYPES = {
+  0: 'UPC_A', 1: 'UPC_E', 2: 'EAN13', 3: 'EAN8', 4: 'CODE39', 5: 'ITF', 6: 'NW7',
+  65: 'UPC_A', 66: 'UPC_E', 67: 'EAN13', 68: 'EAN8', 69: 'CODE39', 70: 'ITF', 71: 'NW7',
+  72: 'CODE93', 73: 'CODE128',
+};
+
+const SYMBOLS_2D = {
+  [_.PDF417_FORMAT.CN]: 'PDF417',
+  [_.QRCODE_FORMAT.CN]: 'QRCODE',
+  [_.DATAMATRIX_FORMAT.CN]: 'DATAMATRIX',
+};
+
+const QR_LEVELS = { 0x30: 'L', 0x31: 'M', 0x32: 'Q', 0x33: 'H' };
+
+// ESC b n1, STAR Line Mode
+const STAR_BARCODE_TYPES = ['UPC_E', 'UPC_A', 'EAN8', 'EAN13', 'CODE39', 'ITF', 'CODE128', 'CODE93', 'NW7'];
+
+function initialState() {
+  return {
+    align: 0,
+    bold: false,
+    underline: 0,
+    italic: false,
+    reverse: false,
+    font: 0,
+    width: 1,
+    height: 1,
+    lineSpacing: DEFAULT_LINE_SPACING,
+    barcode: { height: 162, width: 3, hri: 0 },
+    symbols: {},
+  };
+}
+
+// CODE128 payloads carry {A / {B / {C code set switches and {1 for FNC1
+function code128Text(data) {
+  let set = 'B';
+  let text = '';
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] === 0x7b && i + 1 < data.length) {
+      const next = String.fromCharCode(data[++i]);
+      if ('ABC'.indexOf(next) >= 0) set = next;
+      else if (next === '{') text += '{';
+      continue;
+    }
+    text += set === 'C' ? String(data[i]).padStart(2, '0') : String.fromCharCode(data[i]);
+  }
+  return text;
+}
+
+// ESC * column format: every column is `bytes` bytes, most significant bit on top
+function bitImageRows(data, width, bytes) {
+  const height = bytes * 8;
+  const bits = new Uint8Array(width * height);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      if (data[x * bytes + (y >> 3)] & (0x80 >> (y & 7))) bits[y * width + x] = 1;
+    }
+  }
+  return { width, height, bits };
+}
+
+// GS v 0 row format: `bytes` bytes per row, most significant bit on the left
+function rasterRows(data, bytes, height) {
+  const width = bytes * 8;
+  const bits = new Uint8Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * bytes + (x >> 3)] & (0x80 >> (x & 7))) bits[y * width + x] = 1;
+    }
+  }
+  return { width, height, bits };
+}
+
+function scaleBits({ width, height, bits }, sx, sy) {
+  if (sx === 1 && sy === 1) return { width, height, bits };
+  const out = new Uint8Array(width * sx * height * sy);
+  for (let y = 0; y < height * sy; y++) {
+    for (let x = 0; x < width * sx; x++) {
+      out[y * width * sx + x] = bits[Math.floor(y / sy) * width + Math.floor(x / sx)];
+    }
+  }
+  return { width: width * sx, height: height * sy, bits: out };
+}
+
+/**
+ * [replay an ESC/POS buffer and return what the printer would print]
+ *
+ * Blocks:
+ *   { type: 'text', align, height, runs: [{ text, bold, underline, italic, reverse, font, width, height }] }
+ *   { type: 'feed', height }
+ *   { type: 'image', align, width, height, bits }   bits: one byte per dot, 1 = black
+ *   { type: 'barcode', align, symbology, data, height, moduleWidth, hri }
+ *   { type: 'qrcode', align, data, level, moduleSize, modules }
+ *   { type: 'code2d', align, symbology, data }
+ *   { type: 'cut', partial }
+ *
+ * @param  {[Buffer]} buffer  [mandatory] e.g. printer.buffer.render()
+ * @param  {[Object]} options [optional] { encoding, codePages, model: 'star' for STAR Line Mode }
+ * @return {[Array<Object>]} blocks
+ */
+export function interpret(buffer, options = {}) {
+  const decoding = decodingState(options);
+  const star = options.model === 'star';
+  const blocks = [];
+  let state = initialState();
+  let line = null;
+  // set after ESC * so the LF that ends the stripe does not add a blank line
+  let graphicLine = false;
+
+  const style = () => ({
+    bold: state.bold,
+    underline: state.underline,
+    italic: state.italic,
+    reverse: state.reverse,
+    font: state.font,
+    width: state.width,
+    height: state.height,
+  });
+
+  const addText = (bytes) => {
+    if (!line) line = { type: 'text', align: state.align, runs: [] };
+    const text = iconv.decode(bytes, decoding.encoding);
+    const last = line.runs[line.runs.length - 1];
+    const current = style();
+    if (last && Object.keys(current).every((key) => last[key] === current[key])) last.text += text;
+    else line.runs.push(Object.assign({ text }, current));
+  };
+
+  const endLine = (extra = 0) => {
+    if (line) {
+      const height = line.runs.reduce((max, run) => Math.max(max, FONTS[run.font].height * run.height), 0);
+      line.height = Math.max(height, state.lineSpacing) + extra;
+      blocks.push(line);
+      line = null;
+    } else if (!graphicLine) {
+      blocks.push({ type: 'feed', height: state.lineSpacing + extra });
+    } else if (extra) {
+      blocks.push({ type: 'feed', height: extra });
+    }
+    graphicLine = false;
+  };
+
+  const pushGraphic = (block) => {
+    if (line) endLine();
+    blocks.push(Object.assign({ align: state.align }, block));
+  };
+
+  const printQrcode = (data, level, moduleSize) => {
+    pushGraphic({
+      type: 'qrcode',
+      data: data.toString('latin1'),
+      level,
+      moduleSize,
+      modules: encodeQrcode(data, { level }).modules,
+    });
+  };
+
+  tokenize(buffer, options).forEach((token) => {
+    if (token.text) {
+      addText(token.text);
+      return;
+    }
+    const [p0, p1] = token.params || [];
+    switch (token.command) {
+      case 'LF':
+        endLine();
+        break;
+      case 'ESC d':
+        if (star) {
+          // feed to the cutter and cut: 0, 2 full, 1, 3 partial
+          if (line) endLine();
+          blocks.push({ type: 'cut', partial: (p0 & 0x01) === 1 });
+          break;
+        }
+        endLine(state.lineSpacing * Math.max(0, p0 - 1));
+        break;
+      case 'ESC J':
+        if (line) endLine(Math.max(0, p0 - state.lineSpacing));
+        else blocks.push({ type: 'feed', height: p0 });
+        break;
+      case 'ESC @':
+        if (line) endLine();
+        state = initialState();
+        break;
+      case 'ESC !':
+        state.font = p0 & 0x01;
+        state.bold = !!(p0 & 0x08);
+        state.height = p0 & 0x10 ? 2 : 1;
+        state.width = p0 & 0x20 ? 2 : 1;
+        state.underline = p0 & 0x80 ? 1 : 0;
+        break;
+      case 'ESC E':
+        state.bold = star || !!(p0 & 0x01);
+        break;
+      case 'ESC F':
+        if (star) state.bold = false;
+        break;
+      case 'ESC i':
+        if (star) {
+          state.height = Math.min(p0 & 0x0f, 5) + 1;
+          state.width = Math.min(p1 & 0x0f, 5) + 1;
+        }
+        break;
+      case 'ESC -':
+        state.underline = p0 === 0x30 ? 0 : p0 === 0x31 ? 1 : p0 === 0x32 ? 2 : p0 & 0x03;
+        break;
+      case 'ESC 4':
+        state.italic = true;
+        break;
+      case 'ESC 5':
+        state.italic = false;
+        break;
+      case 'ESC M':
+        state.font = (p0 & 0x0f) % FONTS.length;
+        break;
+      case 'ESC a':
+      case 'ESC GS a':
+        state.align = (p0 >= 0x30 ? p0 - 0x30 : p0) % 3;
+        break;
+      case 'ESC t':
+      case 'ESC GS t':
+        if (decoding.codePages && decoding.codePages[p0]) decoding.encoding = decoding.codePages[p0];
+        break;
+      case 'ESC 2':
+        state.lineSpacing = DEFAULT_LINE_SPACING;
+        break;
+      case 'ESC 3':
+        state.lineSpacing = p0;
+        break;
+      case 'GS !':
+        state.width = ((p0 >> 4) & 0x07) + 1;
+        state.height = (p0 & 0x07) + 1;
+        break;
+      case 'GS B':
+        state.reverse = !!(p0 & 0x01);
+        break;
+      case 'GS h':
+        state.barcode.height = p0;
+        break;
+      case 'GS w':
+        state.barcode.width = p0;
+        break;
+      case 'GS H':
+        state.barcode.hri = (p0 >= 0x30 ? p0 - 0x30 : p0) & 0x03;
+        break;
+      case 'GS k': {
+        const symbology = BARCODE_TYPES[p0] || `TYPE_${p0}`;
+        const data = symbology === 'CODE128' ? code128Text(token.data) : token.data.toString('latin1');
+        pushGraphic({
+          type: 'barcode',
+          symbology,
+          data,
+          height: state.barcode.height,
+          moduleWidth: state.barcode.width,
+          hri: state.barcode.hri,
+        });
+        break;
+      }
+      case 'ESC b': {
+        const [type, hri, mode, height] = token.params;
+        pushGraphic({
+          type: 'barcode',
+          symbology: STAR_BARCODE_TYPES[type & 0x0f] || `TYPE_${type}`,
+          data: token.data.toString('latin1'),
+          height,
+          moduleWidth: (mode & 0x0f) + 1,
+          hri: (hri & 0x0f) === 2 || (hri & 0x0f) === 4 ? 2 : 0,
+        });
+        break;
+      }
+      case 'ESC GS y S': {
+        const qr = state.symbols.star = state.symbols.star || {};
+        if (p0 === 0x31 || p0 === 1) qr.level = 'LMQH'[p1 & 0x03];
+        if (p0 === 0x32 || p0 === 2) qr.size = p1;
+        break;
+      }
+      case 'ESC GS y D':
+        state.symbols.star = Object.assign(state.symbols.star || {}, { data: token.data });
+        break;
+      case 'ESC GS y P': {
+        const qr = state.symbols.star || {};
+        printQrcode(qr.data || Buffer.alloc(0), qr.level || 'L', qr.size || 3);
+        break;
+      }
+      case 'ESC GS S': {
+        const [, bytes, height] = token.params;
+        pushGraphic(Object.assign({ type: 'image' }, rasterRows(token.data, bytes, height)));
+        break;
+      }
+      case 'ESC *': {
+        const [m, nL, nH] = token.params;
+        const image = bitImageRows(token.data, nL + nH * 256, m >= 32 ? 3 : 1);
+        // single density doubles every dot horizontally, 8-dot modes are a third of the vertical density
+        const scaled = scaleBits(image, m === 0 || m === 32 ? 2 : 1, m < 32 ? 3 : 1);
+        const last = blocks[blocks.length - 1];
+        if (line) endLine();
+        if (last && last.type === 'image' && last.stripes && last.width === scaled.width && !line) {
+          // stripes printed with line spacing 0 are one picture
+          const bits = new Uint8Array(last.bits.length + scaled.bits.length);
+          bits.set(last.bits);
+          bits.set(scaled.bits, last.bits.length);
+          last.bits = bits;
+          last.height += scaled.height;
+        } else {
+          pushGraphic(Object.assign({ type: 'image', stripes: true }, scaled));
+        }
+        graphicLine = true;
+        break;
+      }
+      case 'GS v 0': {
+        const [m, bytes, height] = token.params;
+        const image = rasterRows(token.data, bytes, height);
+        pushGraphic(Object.assign({ type: 'image' }, scaleBits(image, m & 0x01 ? 2 : 1, m & 0x02 ? 2 : 1)));
+        break;
+      }
+      case 'GS ( k': {
+        const [cn, fn] = token.params;
+        const symbol = state.symbols[cn] = state.symbols[cn] || {};
+        if (fn === 0x50) {
+          // store: first byte is m (0x30), the rest is the symbol data
+          symbol.data = token.data.subarray(1);
+        } else if (fn === 0x51) {
+          if (cn === _.QRCODE_FORMAT.CN) {
+            printQrcode(symbol.data || Buffer.alloc(0), QR_LEVELS[symbol.level] || 'L', symbol.size || 3);
+          } else {
+            pushGraphic({
+              type: 'code2d',
+              symbology: SYMBOLS_2D[cn] || `CN_${cn}`,
+              data: (symbol.data || Buffer.alloc(0)).toString('latin1'),
+            });
+          }
+        } else if (cn === _.QRCODE_FORMAT.CN && fn === _.QRCODE_FORMAT.FN_SIZE) {
+          symbol.size = token.data[0];
+        } else if (cn === _.QRCODE_FORMAT.CN && fn === _.QRCODE_FORMAT.FN_LEVEL) {
+          symbol.level = token.data[0];
+        }
+        break;
+      }
+      case 'ESC Z': {
+        const [, level, size] = token.params;
+        printQrcode(token.data, level, size);
+        break;
+      }
+      case 'GS V':
+        if (line) endLine();
+        blocks.push({ type: 'cut', partial: [1, 49, 66, 98, 104].indexOf(p0) >= 0 });
+        if (p1) blocks.push({ type: 'feed', height: p1 });
+        break;
+      default:
+        break;
+    }
+  });
+  if (line) endLine();
+  return blocks;
+}
+
+function escapeXml(str) {
+  return String(str).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// one SVG path drawing every horizontal run of black dots
+function bitsPath({ width, height, bits }, x0 = 0, y0 = 0, scale = 1) {
+  let d = '';
+  for (let y = 0; y < height; y++) {
+    let x = 0;
+    while (x < width) {
+      if (!bits[y * width + x]) {
+        x++;
+        continue;
+      }
+      const start = x;
+      while (x < width && bits[y * width + x]) x++;
+      d += `M${x0 + start * scale} ${y0 + y * scale}h${(x - start) * scale}v${scale}h${-(x - start) * scale}z`;
+    }
+  }
+  return d;
+}
+
+function qrcodeBits(block) {
+  const size = block.modules.length;
+  const bits = new Uint8Array(size * size);
+  block.modules.forEach((row, y) => row.forEach((dark, x) => {
+    bits[y * size + x] = dark ? 1 : 0;
+  }));
+  return { width: size, height: size, bits };
+}
+
+// width and height in dots of a block that is not text
+function graphicSize(block) {
+  switch (block.type) {
+    case 'image':
+      return [block.width, block.height];
+    case 'qrcode':
+      return [block.modules.length * block.moduleSize, block.modules.length * block.moduleSize];
+    case 'barcode':
+      // an approximation, the exact width depends on the symbology
+      return [(block.data.length * 11 + 35) * block.moduleWidth, block.height + (block.hri ? 24 * (block.hri === 3 ? 2 : 1) : 0)];
+    case 'code2d':
+      return [160, 80];
+    default:
+      return [0, 0];
+  }
+}
+
+function alignedX(align, width, paper) {
+  if (align === 1) return Math.max(0, Math.floor((paper - width) / 2));
+  if (align === 2) return Math.max(0, paper - width);
+  return 0;
+}
+
+function runWidth(run) {
+  return utils.textLength(run.text) * FONTS[run.font].width * run.width;
+}
+
+function renderSvg(blocks, dots) {
+  const parts = [];
+  let y = 0;
+  blocks.forEach((block) => {
+    if (block.type === 'feed') {
+      y += block.height;
+    } else if (block.type === 'cut') {
+      parts.push(`<line x1="0" y1="${y + 4}" x2="${dots}" y2="${y + 4}" stroke="#000" stroke-dasharray="${block.partial ? '4 8' : '8 4'}"/>`);
+      y += 8;
+    } else if (block.type === 'text') {
+      const total = block.runs.reduce((sum, run) => sum + runWidth(run), 0);
+      let x = alignedX(block.align, total, dots);
+      const baseline = y + block.runs.reduce((max, run) => Math.max(max, FONTS[run.font].height * run.height), 0);
+      block.runs.forEach((run) => {
+        const width = runWidth(run);
+        const font = FONTS[run.font];
+        if (run.reverse) parts.push(`<rect x="${x}" y="${baseline - font.height * run.height}" width="${width}" height="${font.height * run.height}"/>`);
+        const attrs = [
+          `x="${x}"`, `y="${baseline - 4 * run.height}"`,
+          `font-size="${+(font.height * run.height * 0.85).toFixed(2)}"`,
+          `textLength="${width}"`, 'lengthAdjust="spacingAndGlyphs"',
+        ];
+        if (run.bold) attrs.push('font-weight="bold"');
+        if (run.italic) attrs.push('font-style="italic"');
+        if (run.underline) attrs.push('text-decoration="underline"');
+        if (run.reverse) attrs.push('fill="#fff"');
+        if (run.text.trim()) parts.push(`<text ${attrs.join(' ')}>${escapeXml(run.text)}</text>`);
+        x += width;
+      });
+      y += block.height;
+    } else {
+      const [width, height] = graphicSize(block);
+      const x = alignedX(block.align, width, dots);
+      if (block.type === 'image') {
+        parts.push(`<path d="${bitsPath(block, x, y)}"/>`);
+      } else if (block.type === 'qrcode') {
+        parts.push(`<path d="${bitsPath(qrcodeBits(block), x, y, block.moduleSize)}"/>`);
+      } else {
+        const label = `${block.symbology} ${block.data}`;
+        parts.push(`<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="none" stroke="#000" stroke-dasharray="2 2"/>`);
+        parts.push(`<text x="${x + width / 2}" y="${y + height / 2}" font-size="20" text-anchor="middle">${escapeXml(label)}</text>`);
+      }
+      y += height;
+    }
+  });
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${dots}" height="${y}" viewBox="0 0 ${dots} ${y}" font-family="monospace" shape-rendering="crispEdges">` +
+    `<rect width="${dots}" height="${y}" fill="#fff"/><g fill="#000">${parts.join('')}</g></svg>`;
+}
+
+function renderHtml(blocks, dots) {
+  const align = ['left', 'center', 'right'];
+  const parts = blocks.map((block) => {
+    if (block.type === 'feed') return `<div style="height:${block.height}px"></div>`;
+    if (block.type === 'cut') return `<hr class="escpos-cut" style="border:0;border-top:2px ${block.partial ? 'dotted' : 'dashed'} #000;margin:4px 0">`;
+    if (block.type === 'text') {
+      const runs = block.runs.map((run) => {
+        const font = FONTS[run.font];
+        // letter spacing stretches the glyphs to the printer's character pitch
+        const size = font.height * Math.min(run.width, run.height) * 0.85;
+        const css = [
+          `font-size:${+size.toFixed(2)}px`,
+          `letter-spacing:${+(font.width * run.width - size * 0.6).toFixed(2)}px`,
+        ];
+        if (run.bold) css.push('font-weight:bold');
+        if (run.italic) css.push('font-style:italic');
+        if (run.underline) css.push(`text-decoration:underline${run.underline === 2 ? ' double' : ''}`);
+        if (run.reverse) css.push('background:#000;color:#fff');
+        return `<span style="${css.join(';')}">${escapeXml(run.text)}</span>`;
+      }).join('');
+      return `<div style="text-align:${align[block.align]};height:${block.height}px;white-space:pre;overflow:hidden">${runs}</div>`;
+    }
+    return `<div style="text-align:${align[block.align]};line-height:0">${renderSvg([Object.assign({}, block, { align: 0 })], graphicSize(block)[0])}</div>`;
+  });
+  return `<div class="escpos-preview" style="width:${dots}px;background:#fff;color:#000;font-family:monospace;line-height:1">${parts.join('')}</div>`;
+}
+
+/**
+ * [render a receipt preview from an ESC/POS buffer]
+ *
+ * @usage
+ *   renderPreview(printer.buffer.render())                      => HTML string
+ *   renderPreview(buffer, { format: 'svg', width: 32 })          => SVG string for 58mm paper
+ *   renderPreview(buffer, { format: 'blocks' })                  => interpret(buffer)
+ *
+ * @param  {[Buffer]} buffer  [mandatory]
+ * @param  {[Object]} options [optional] { format: html | svg | blocks, width, dots, encoding, codePages, model }
+ * @return {[String|Array<Object>]}
+ */
+export function renderPreview(buffer, options = {}) {
+  const format = String(options.format || 'html').toLowerCase();
+  const dots = options.dots || (options.width || 48) * 12;
+  const blocks = interpret(buffer, options);
+  switch (format) {
+    case 'html':
+      return renderHtml(blocks, dots);
+    case 'svg':
+      return renderSvg(blocks, dots);
+    case 'blocks':
+      return blocks;
+    default:
+      throw new TypeError(`Unknown preview format ${options.format}. Supported: html, svg, blocks`);
+  }
+}
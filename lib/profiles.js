@@ -0,0 +1,171 @@
+'use strict';
+
+/**
+ * Printer profiles: what a printer model can do, so Printer methods can warn
+ * or fall back instead of sending commands the hardware ignores.
+ *
+ * Profile fields:
+ *   model       command dialect passed to Printer.model(): null, 'qsprinter' or 'star'
+ *   dots        printable width in dots
+ *   columns     characters per line for each font, { A, B }
+ *   codePages   code table number => code page name, see setCharacterCodeTable
+ *   codeSystems double-byte code systems the model prints: name => FS C n, or null
+ *               for a code system the printer is built for and cannot switch.
+ *               Text is only switched in and out of double-byte mode by itself
+ *               on models that list the code system of its encoding
+ *   cutter      'full', 'partial', 'both' or 'none'
+ *   code2d      2D symbols printed natively: QRCODE, PDF417, DATAMATRIX
+ *   image       preferred image command: 'raster' (GS v 0) or 'bitimage' (ESC *)
+ *   bufferSize  receive buffer size in bytes
+ *   barcodeWidth / hriFont  GS w and GS f are supported
+ */
+
+const EPSON_CODE_PAGES = {
+  0: 'CP437',
+  2: 'CP850',
+  3: 'CP860',
+  4: 'CP863',
+  5: 'CP865',
+  16: 'CP1252',
+  17: 'CP866',
+  18: 'CP852',
+  19: 'CP858',
+};
+
+const STAR_CODE_PAGES = {
+  1: 'CP437',
+  4: 'CP858',
+  5: 'CP852',
+  6: 'CP860',
+  8: 'CP863',
+  9: 'CP865',
+  10: 'CP866',
+  32: 'CP1252',
+};
+
+// Epson FS C n, Japanese models
+const EPSON_CODE_SYSTEMS = {
+  JIS: 0,
+  SHIFT_JIS: 1,
+  SHIFT_JIS_2004: 2,
+};
+
+// models sold with a Chinese or Korean font print its code system in double-byte mode
+const CHINESE_CODE_SYSTEMS = { GB18030: null, GB2312: null };
+const TAIWANESE_CODE_SYSTEMS = { BIG5: null };
+const KOREAN_CODE_SYSTEMS = { KSC5601: null };
+
+const GENERIC = {
+  model: null,
+  dots: 576,
+  columns: { A: 48, B: 64 },
+  codePages: EPSON_CODE_PAGES,
+  codeSystems: {},
+  cutter: 'both',
+  code2d: ['QRCODE', 'PDF417', 'DATAMATRIX'],
+  image: 'raster',
+  bufferSize: 4096,
+  barcodeWidth: true,
+  hriFont: true,
+};
+
+const profiles = {};
+
+function createProfile(name, profile) {
+  const { extends: base, ...fields } = profile || {};
+  const parent = base ? getProfile(base) : GENERIC;
+  return Object.freeze({
+    ...parent,
+    ...fields,
+    columns: { ...parent.columns, ...fields.columns },
+    name,
+  });
+}
+
+/**
+ * [register a printer profile, or replace one with the same name]
+ *
+ * @usage
+ *   registerProfile('shop-printer', { extends: 'generic-80mm', dots: 512, cutter: 'partial' })
+ *
+ * @param  {[String]} name    [mandatory]
+ * @param  {[Object]} profile [mandatory] profile fields, `extends` names the profile to start from
+ * @return {[Object]} the registered profile
+ */
+export function registerProfile(name, profile) {
+  if (!name || typeof name !== 'string') throw new TypeError('Profile name must be a non-empty string');
+  profiles[name.toLowerCase()] = createProfile(name, profile);
+  return profiles[name.toLowerCase()];
+}
+
+/**
+ * [look up a registered profile by name]
+ * @param  {[String]} name [mandatory] case insensitive
+ * @return {[Object]} profile
+ */
+export function getProfile(name) {
+  const profile = profiles[String(name).toLowerCase()];
+  if (!profile) {
+    throw new RangeError(`Unknown printer profile ${name}. Registered: ${listProfiles().join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * [a profile from its name, or from an unregistered profile object]
+ * @param  {[String|Object]} profile [mandatory]
+ * @return {[Object]} profile
+ */
+export function resolveProfile(profile) {
+  if (typeof profile === 'string') return getProfile(profile);
+  return createProfile(profile.name || 'custom', profile);
+}
+
+/**
+ * [names of all registered profiles]
+ * @return {[Array<String>]}
+ */
+export function listProfiles() {
+  return Object.keys(profiles).map((key) => profiles[key].name);
+}
+
+registerProfile('generic-80mm', {});
+registerProfile('generic-58mm', {
+  dots: 384,
+  columns: { A: 32, B: 42 },
+  cutter: 'none',
+  code2d: ['QRCODE'],
+  bufferSize: 2048,
+});
+registerProfile('epson-tm-t20', {
+  cutter: 'partial',
+  code2d: ['QRCODE', 'PDF417'],
+  bufferSize: 4096,
+});
+registerProfile('epson-tm-t88', {
+  dots: 512,
+  columns: { A: 42, B: 56 },
+  cutter: 'partial',
+  bufferSize: 45056,
+});
+registerProfile('epson-tm-t88-jp', {
+  extends: 'epson-tm-t88',
+  codeSystems: EPSON_CODE_SYSTEMS,
+});
+registerProfile('generic-80mm-zh', { codeSystems: CHINESE_CODE_SYSTEMS });
+registerProfile('generic-58mm-zh', { extends: 'generic-58mm', codeSystems: CHINESE_CODE_SYSTEMS });
+registerProfile('generic-80mm-tw', { codeSystems: TAIWANESE_CODE_SYSTEMS });
+registerProfile('generic-80mm-ko', { codeSystems: KOREAN_CODE_SYSTEMS });
+registerProfile('qsprinter', {
+  model: 'qsprinter',
+  code2d: ['QRCODE'],
+  barcodeWidth: false,
+  hriFont: false,
+});
+registerProfile('star', {
+  model: 'star',
+  codePages: STAR_CODE_PAGES,
+  codeSystems: {},
+  code2d: ['QRCODE'],
+  bufferSize: 16384,
+});
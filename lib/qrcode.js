@@ -0,0 +1,447 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import ndarray from "ndarray";
+import { PrintImage } from "./image";
+
+/**
+ * Pure JS QR code encoder (ISO/IEC 18004), used for printers without
+ * on-board QR support. Based on the reference algorithm, byte / numeric /
+ * alphanumeric mode, versions 1-40, no ECI and no Kanji mode.
+ */
+
+// index 0 is unused so tables can be read by version number
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+};
+
+const NUM_ERROR_CORRECTION_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81],
+};
+
+const FORMAT_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+const ALPHANUMERIC_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const MODES = {
+  NUMERIC: { bits: 0x1, countBits: [10, 12, 14] },
+  ALPHANUMERIC: { bits: 0x2, countBits: [9, 11, 13] },
+  BYTE: { bits: 0x4, countBits: [8, 16, 16] },
+};
+
+const getBit = (x, i) => ((x >>> i) & 1) !== 0;
+
+function appendBits(bits, value, length) {
+  for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+}
+
+function charCountBits(mode, version) {
+  return mode.countBits[Math.floor((version + 7) / 17)];
+}
+
+/**
+ * [build the single data segment for content, using the most compact mode]
+ * @param  {[String|Buffer]} content
+ * @return {[Object]} { mode, count, bits }
+ */
+function makeSegment(content) {
+  const bits = [];
+  if (typeof content === 'string' && /^[0-9]*$/.test(content)) {
+    for (let i = 0; i < content.length; i += 3) {
+      const chunk = content.substr(i, 3);
+      appendBits(bits, parseInt(chunk, 10), chunk.length * 3 + 1);
+    }
+    return { mode: MODES.NUMERIC, count: content.length, bits };
+  }
+  if (typeof content === 'string' && /^[0-9A-Z $%*+\-./:]*$/.test(content)) {
+    let i;
+    for (i = 0; i + 2 <= content.length; i += 2) {
+      appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(content[i]) * 45
+        + ALPHANUMERIC_CHARSET.indexOf(content[i + 1]), 11);
+    }
+    if (i < content.length) appendBits(bits, ALPHANUMERIC_CHARSET.indexOf(content[i]), 6);
+    return { mode: MODES.ALPHANUMERIC, count: content.length, bits };
+  }
+  const data = Buffer.isBuffer(content) ? content : Buffer.from(String(content), 'utf8');
+  data.forEach((b) => appendBits(bits, b, 8));
+  return { mode: MODES.BYTE, count: data.length, bits };
+}
+
+function getNumRawDataModules(version) {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+}
+
+function getNumDataCodewords(version, level) {
+  return Math.floor(getNumRawDataModules(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[level][version] * NUM_ERROR_CORRECTION_BLOCKS[level][version];
+}
+
+function getAlignmentPatternPositions(version) {
+  if (version === 1) return [];
+  const size = version * 4 + 17;
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+  const result = [6];
+  for (let pos = size - 7; result.length < numAlign; pos -= step) result.splice(1, 0, pos);
+  return result;
+}
+
+// GF(2^8) multiplication modulo x^8 + x^4 + x^3 + x^2 + 1
+function gfMultiply(x, y) {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+}
+
+function reedSolomonDivisor(degree) {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+  const result = divisor.map(() => 0);
+  data.forEach((b) => {
+    const factor = b ^ result.shift();
+    result.push(0);
+    divisor.forEach((coef, i) => {
+      result[i] ^= gfMultiply(coef, factor);
+    });
+  });
+  return result;
+}
+
+function addEccAndInterleave(data, version, level) {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level][version];
+  const blockEccLen = ECC_CODEWORDS_PER_BLOCK[level][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+  const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+
+  const divisor = reedSolomonDivisor(blockEccLen);
+  const blocks = [];
+  for (let i = 0, k = 0; i < numBlocks; i++) {
+    const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+    k += dat.length;
+    const ecc = reedSolomonRemainder(dat, divisor);
+    if (i < numShortBlocks) dat.push(0);
+    blocks.push(dat.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      // skip the padding byte of short blocks
+      if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => x * y % 2 + x * y % 3 === 0,
+  (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+  (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0,
+];
+
+class QrMatrix {
+  constructor(version, level) {
+    this.version = version;
+    this.level = level;
+    this.size = version * 4 + 17;
+    this.modules = [];
+    this.isFunction = [];
+    for (let i = 0; i < this.size; i++) {
+      this.modules.push(new Array(this.size).fill(false));
+      this.isFunction.push(new Array(this.size).fill(false));
+    }
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const size = this.size;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+    this.drawFinder(3, 3);
+    this.drawFinder(size - 4, 3);
+    this.drawFinder(3, size - 4);
+
+    const positions = getAlignmentPatternPositions(this.version);
+    const n = positions.length;
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        // the three corners are taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === n - 1) || (i === n - 1 && j === 0)) continue;
+        this.drawAlignment(positions[i], positions[j]);
+      }
+    }
+    this.drawFormatBits(0);
+    this.drawVersion();
+  }
+
+  drawFinder(x, y) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const dist = Math.max(Math.abs(dx), Math.abs(dy));
+        const xx = x + dx;
+        const yy = y + dy;
+        if (xx >= 0 && xx < this.size && yy >= 0 && yy < this.size) {
+          this.setFunction(xx, yy, dist !== 2 && dist !== 4);
+        }
+      }
+    }
+  }
+
+  drawAlignment(x, y) {
+    for (let dy = -2; dy <= 2; dy++) {
+      for (let dx = -2; dx <= 2; dx++) {
+        this.setFunction(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const size = this.size;
+    const data = FORMAT_BITS[this.level] << 3 | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = (data << 10 | rem) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, getBit(bits, i));
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, getBit(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, getBit(bits, i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  drawVersion() {
+    if (this.version < 7) return;
+    let rem = this.version;
+    for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1f25);
+    const bits = this.version << 12 | rem;
+    for (let i = 0; i < 18; i++) {
+      const bit = getBit(bits, i);
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, bit);
+      this.setFunction(b, a, bit);
+    }
+  }
+
+  drawCodewords(data) {
+    const size = this.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let vert = 0; vert < size; vert++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vert : vert;
+          if (!this.isFunction[y][x] && i < data.length * 8) {
+            this.modules[y][x] = getBit(data[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    const fn = MASKS[mask];
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && fn(x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  penaltyScore() {
+    const size = this.size;
+    const m = this.modules;
+    const line = (i, j, vertical) => (vertical ? m[j][i] : m[i][j]);
+    let result = 0;
+    let dark = 0;
+
+    for (const vertical of [false, true]) {
+      for (let i = 0; i < size; i++) {
+        let run = 1;
+        for (let j = 1; j <= size; j++) {
+          if (j < size && line(i, j, vertical) === line(i, j - 1, vertical)) {
+            run++;
+          } else {
+            if (run >= 5) result += 3 + (run - 5);
+            run = 1;
+          }
+        }
+        // finder-like 1:1:3:1:1 pattern with 4 light modules on either side
+        for (let j = 0; j + 11 <= size; j++) {
+          const seq = [];
+          for (let k = 0; k < 11; k++) seq.push(line(i, j + k, vertical) ? 1 : 0);
+          const s = seq.join('');
+          if (s === '10111010000' || s === '00001011101') result += 40;
+        }
+      }
+    }
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const c = m[y][x];
+        if (c === m[y][x + 1] && c === m[y + 1][x] && c === m[y + 1][x + 1]) result += 3;
+      }
+    }
+
+    m.forEach((row) => row.forEach((c) => { if (c) dark++; }));
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return result;
+  }
+}
+
+/**
+ * [encode content into a QR code module matrix]
+ *
+ * @usage
+ *   encodeQrcode('hello', { level: 'M' }) => { version: 1, size: 21, modules: [[true, ...], ...] }
+ *
+ * @param  {[String|Buffer]} content [mandatory]
+ * @param  {[Object]}        options [optional] { level, version, mask }
+ * @return {[Object]}        { version, level, mask, size, modules }
+ */
+export function encodeQrcode(content, options = {}) {
+  const level = String(options.level || 'L').toUpperCase();
+  if (!(level in FORMAT_BITS)) {
+    throw new RangeError(`Invalid QR code level ${options.level}. Must be one of L, M, Q, H`);
+  }
+  const segment = makeSegment(content);
+
+  let version;
+  const minVersion = options.version || 1;
+  const maxVersion = options.version || 40;
+  for (version = minVersion; version <= maxVersion; version++) {
+    const countBits = charCountBits(segment.mode, version);
+    if (segment.count < (1 << countBits)
+      && 4 + countBits + segment.bits.length <= getNumDataCodewords(version, level) * 8) break;
+  }
+  if (version > maxVersion) {
+    throw new RangeError(`Content too long for QR code${options.version ? ` version ${options.version}` : ''} at level ${level}`);
+  }
+
+  const bits = [];
+  appendBits(bits, segment.mode.bits, 4);
+  appendBits(bits, segment.count, charCountBits(segment.mode, version));
+  segment.bits.forEach((b) => bits.push(b));
+
+  const capacity = getNumDataCodewords(version, level) * 8;
+  appendBits(bits, 0, Math.min(4, capacity - bits.length));
+  appendBits(bits, 0, (8 - bits.length % 8) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) appendBits(bits, pad, 8);
+
+  const data = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    data.push(bits.slice(i, i + 8).reduce((acc, b) => (acc << 1) | b, 0));
+  }
+
+  const qr = new QrMatrix(version, level);
+  qr.drawFunctionPatterns();
+  qr.drawCodewords(addEccAndInterleave(data, version, level));
+
+  let mask = options.mask == null ? -1 : options.mask;
+  if (mask < 0) {
+    let minPenalty = Infinity;
+    for (let i = 0; i < MASKS.length; i++) {
+      qr.applyMask(i);
+      qr.drawFormatBits(i);
+      const penalty = qr.penaltyScore();
+      if (penalty < minPenalty) {
+        mask = i;
+        minPenalty = penalty;
+      }
+      qr.applyMask(i); // XOR again to undo
+    }
+  }
+  qr.applyMask(mask);
+  qr.drawFormatBits(mask);
+
+  return { version, level, mask, size: qr.size, modules: qr.modules };
+}
+
+/**
+ * [render content as a QR code PrintImage, ready for Printer.raster()]
+ *
+ * With maxWidth, a symbol that would be wider gets the largest whole module
+ * size that fits: scaling it afterwards would merge or drop modules.
+ *
+ * @param  {[String|Buffer]} content [mandatory]
+ * @param  {[Object]}        options [optional] { level, version, mask, moduleSize, quietZone, maxWidth: dots }
+ * @return {[PrintImage]}
+ */
+export function qrcodeImage(content, options = {}) {
+  const { quietZone = 4, maxWidth } = options;
+  let { moduleSize = 6 } = options;
+  if (!Number.isInteger(moduleSize) || moduleSize < 1) {
+    throw new RangeError(`Invalid QR code module size ${moduleSize}`);
+  }
+  if (!Number.isInteger(quietZone) || quietZone < 0) {
+    throw new RangeError(`Invalid QR code quiet zone ${quietZone}`);
+  }
+  const { size, modules } = encodeQrcode(content, options);
+  if (maxWidth !== undefined) {
+    const fit = Math.floor(maxWidth / (size + quietZone * 2));
+    if (fit < 1) {
+      throw new RangeError(`QR code of ${size + quietZone * 2} modules with its quiet zone does not fit in ${maxWidth} dots`);
+    }
+    moduleSize = Math.min(moduleSize, fit);
+  }
+  const w = (size + quietZone * 2) * moduleSize;
+  const data = new Uint8Array(w * w * 4).fill(255);
+  for (let y = 0; y < w; y++) {
+    const my = Math.floor(y / moduleSize) - quietZone;
+    for (let x = 0; x < w; x++) {
+      const mx = Math.floor(x / moduleSize) - quietZone;
+      if (my >= 0 && my < size && mx >= 0 && mx < size && modules[my][mx]) {
+        const i = (y * w + x) * 4;
+        data[i] = data[i + 1] = data[i + 2] = 0;
+      }
+    }
+  }
+  return new PrintImage(ndarray(data, [w, w, 4], [4, 4 * w, 1], 0));
+}
@@ -0,0 +1,356 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import { writeChunks } from "./transport";
+import { queryFullStatus, notReadyReasons } from "./status";
+
+/**
+ * Print job queue. Jobs are sent one at a time per device, retried with
+ * exponential backoff when the transport fails, and kept in a storage until
+ * they are printed, so a printer that is asleep or unplugged only delays them.
+ *
+ * @usage
+ *   const queue = new PrintQueue({ storage: new FileStorage('./jobs.json'), retries: 5 });
+ *   queue.on('failed', (job, error) => console.error(job.id, error));
+ *   queue.addDevice('kitchen', transport);
+ *   await queue.restore();
+ *   await queue.add('kitchen', printer.text('Order #12').cut());
+ *   await queue.idle();
+ *
+ * Events: queued (job), printing (job), retry (job, error, delay), done (job), failed (job, error)
+ */
+
+/**
+ * [PrinterNotReadyError is thrown by the status check before a job is sent]
+ * @param {[Array<String>]} reasons  see status.notReadyReasons
+ * @param {[Object]}        status
+ */
+export class PrinterNotReadyError extends Error {
+  constructor(reasons, status) {
+    super(`Printer is not ready: ${reasons.join(', ')}`);
+    this.name = 'PrinterNotReadyError';
+    this.reasons = reasons;
+    this.status = status;
+  }
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+let sequence = 0;
+
+function toRecord(job, order) {
+  return {
+    id: job.id,
+    device: job.device,
+    data: job.data.toString('base64'),
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    order,
+  };
+}
+
+function fromRecord(record) {
+  return {
+    id: record.id,
+    device: record.device,
+    data: Buffer.from(record.data, 'base64'),
+    attempts: record.attempts || 0,
+    createdAt: record.createdAt,
+    status: 'queued',
+    error: null,
+  };
+}
+
+/**
+ * [keeps pending jobs in memory only, the default storage]
+ */
+export class MemoryStorage {
+  records = [];
+
+  async load() {
+    return this.records.slice();
+  }
+
+  async save(records) {
+    this.records = records.slice();
+  }
+}
+
+/**
+ * [keeps pending jobs in a JSON file, Node only]
+ * @param {[String]} path [mandatory]
+ */
+export class FileStorage {
+  path;
+
+  constructor(path) {
+    this.path = path;
+  }
+
+  async load() {
+    const fs = require('fs').promises;
+    try {
+      return JSON.parse(await fs.readFile(this.path, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  async save(records) {
+    const fs = require('fs').promises;
+    // write a temporary file first, a crash never leaves half a file behind
+    await fs.writeFile(`${this.path}.tmp`, JSON.stringify(records));
+    await fs.rename(`${this.path}.tmp`, this.path);
+  }
+}
+
+/**
+ * [keeps pending jobs in an IndexedDB object store, browser only]
+ * @param {[String]} name [optional] database name
+ */
+export class IndexedDbStorage {
+  name;
+  _db = null;
+
+  constructor(name = 'escpos-print-queue') {
+    this.name = name;
+  }
+
+  _open() {
+    if (!this._db) {
+      this._db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore('jobs', { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this._db;
+  }
+
+  async load() {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction('jobs', 'readonly').objectStore('jobs').getAll();
+      request.onsuccess = () => resolve(request.result.sort((a, b) => a.order - b.order));
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async save(records) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction('jobs', 'readwrite');
+      const store = transaction.objectStore('jobs');
+      store.clear();
+      records.forEach((record) => store.put(record));
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * [function print job queue]
+ * @param {[Object]} options [optional]
+ *   storage:     MemoryStorage (default), FileStorage or IndexedDbStorage
+ *   retries:     attempts after the first one before a job fails, default 3
+ *   backoff:     delay before the first retry in ms, doubled for every retry, default 1000
+ *   maxBackoff:  longest delay between retries in ms, default 30000
+ *   checkStatus: query the printer status before sending, true or async (transport) => status
+ */
+export class PrintQueue {
+  options;
+  storage;
+  devices = {};
+  jobs = [];
+  _listeners = {};
+  _workers = {};
+  _saving = Promise.resolve();
+
+  constructor(options = {}) {
+    this.options = { retries: 3, backoff: 1000, maxBackoff: 30000, checkStatus: false, ...options };
+    this.storage = this.options.storage || new MemoryStorage();
+  }
+
+  /**
+   * [listen to queue events]
+   * @param  {[String]}   event    [mandatory] queued | printing | retry | done | failed
+   * @param  {[Function]} listener [mandatory]
+   * @return {[PrintQueue]}
+   */
+  on(event, listener) {
+    (this._listeners[event] = this._listeners[event] || []).push(listener);
+    return this;
+  }
+
+  /**
+   * [stop listening to queue events]
+   * @param  {[String]}   event    [mandatory]
+   * @param  {[Function]} listener [mandatory]
+   * @return {[PrintQueue]}
+   */
+  off(event, listener) {
+    this._listeners[event] = (this._listeners[event] || []).filter((l) => l !== listener);
+    return this;
+  }
+
+  _emit(event, ...args) {
+    (this._listeners[event] || []).slice().forEach((listener) => listener(...args));
+  }
+
+  /**
+   * [register the transport of a device, its pending jobs start printing]
+   * @param  {[String]}    id        [mandatory]
+   * @param  {[Transport]} transport [mandatory]
+   * @return {[PrintQueue]}
+   */
+  addDevice(id, transport) {
+    this.devices[id] = transport;
+    this._run(id);
+    return this;
+  }
+
+  /**
+   * [forget a device, its jobs stay queued until it is added again]
+   * @param  {[String]} id [mandatory]
+   * @return {[PrintQueue]}
+   */
+  removeDevice(id) {
+    delete this.devices[id];
+    return this;
+  }
+
+  /**
+   * [load the jobs left pending by a previous run]
+   * A job that was printing when the run ended is sent again.
+   * @return {[Promise<Array<Object>>]} the restored jobs
+   */
+  async restore() {
+    const records = await this.storage.load();
+    const restored = records
+      .filter((record) => !this.jobs.some((job) => job.id === record.id))
+      .map(fromRecord);
+    this.jobs = this.jobs.concat(restored);
+    Object.keys(this.devices).forEach((id) => this._run(id));
+    return restored;
+  }
+
+  /**
+   * [queue a job for a device]
+   * @param  {[String]}                  device [mandatory] device id, it may be added later
+   * @param  {[Buffer|Uint8Array|Printer]} data   [mandatory] bytes, or a Printer whose buffer is taken
+   * @return {[Promise<Object>]} job { id, device, data, status, attempts, error }
+   */
+  async add(device, data) {
+    if (data && data.buffer && typeof data.buffer.flush === 'function') data = data.buffer.flush(true);
+    const job = {
+      id: `${Date.now().toString(36)}-${(sequence++).toString(36)}`,
+      device,
+      data: Buffer.from(data),
+      status: 'queued',
+      attempts: 0,
+      createdAt: Date.now(),
+      error: null,
+    };
+    this.jobs.push(job);
+    await this._save();
+    this._emit('queued', job);
+    this._run(device);
+    return job;
+  }
+
+  /**
+   * [jobs waiting or printing]
+   * @param  {[String]} device [optional] only the jobs of this device
+   * @return {[Array<Object>]}
+   */
+  pending(device) {
+    return this.jobs.filter((job) => device === undefined || job.device === device);
+  }
+
+  /**
+   * [resolves once no device has a job it can print]
+   * @return {[Promise]}
+   */
+  async idle() {
+    while (Object.keys(this._workers).length) {
+      await Promise.all(Object.values(this._workers));
+    }
+  }
+
+  _save() {
+    const records = this.jobs.map(toRecord);
+    // saves run one after the other; a failed one is reported to its caller only
+    const saving = this._saving.catch(() => {}).then(() => this.storage.save(records));
+    this._saving = saving;
+    return saving;
+  }
+
+  _run(id) {
+    if (this._workers[id] || !this.devices[id]) return;
+    this._workers[id] = this._work(id).finally(() => {
+      delete this._workers[id];
+    });
+  }
+
+  async _work(id) {
+    let job;
+    while (this.devices[id] && (job = this.jobs.find((j) => j.device === id && j.status === 'queued'))) {
+      await this._print(job, this.devices[id]);
+    }
+  }
+
+  async _checkStatus(transport) {
+    const check = typeof this.options.checkStatus === 'function' ? this.options.checkStatus : queryFullStatus;
+    const status = await check(transport);
+    const reasons = notReadyReasons(status);
+    if (reasons.length) throw new PrinterNotReadyError(reasons, status);
+  }
+
+  async _print(job, transport) {
+    for (;;) {
+      job.status = 'printing';
+      job.attempts++;
+      try {
+        // a failed save is retried like a failed write, the job never stays printing
+        await this._save();
+        this._emit('printing', job);
+        if (this.options.checkStatus) await this._checkStatus(transport);
+        await writeChunks(transport, job.data);
+        job.status = 'done';
+        job.error = null;
+        return this._finish(job, 'done');
+      } catch (error) {
+        job.error = error;
+        // reopened by the next attempt
+        try {
+          await transport.close();
+        } catch (e) {
+          // already closed
+        }
+        if (job.attempts > this.options.retries) {
+          job.status = 'failed';
+          return this._finish(job, 'failed', error);
+        }
+        job.status = 'queued';
+        await this._save().catch(() => {});
+        const wait = Math.min(this.options.backoff * Math.pow(2, job.attempts - 1), this.options.maxBackoff);
+        this._emit('retry', job, error, wait);
+        await delay(wait);
+        if (this.devices[job.device] !== transport) return;
+      }
+    }
+  }
+
+  async _finish(job, event, error) {
+    this.jobs = this.jobs.filter((j) => j !== job);
+    try {
+      await this._save();
+    } catch (e) {
+      // the job is over either way, the next save drops it from the storage
+    }
+    this._emit(event, job, error);
+  }
+}
@@ -0,0 +1,156 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import { STATUS } from "./commands";
+import { writeChunks } from "./transport";
+
+/**
+ * [status types accepted by DLE EOT n]
+ * @type {Object}
+ */
+export const STATUS_TYPES = {
+  PRINTER: 1,
+  OFFLINE: 2,
+  ERROR: 3,
+  PAPER: 4,
+};
+
+const bit = (byte, n) => (byte & (1 << n)) !== 0;
+
+/**
+ * [decode one DLE EOT response byte]
+ *
+ * @usage
+ *   parseStatus('printer', 0x16) => { online: true, drawerOpen: true, ... }
+ *
+ * drawerOpen reports the level of drawer kick-out connector pin 3;
+ * whether HIGH means open depends on the drawer.
+ *
+ * @param  {[String|Number]} type [mandatory] printer | offline | error | paper, or 1-4
+ * @param  {[Number|Buffer]} byte [mandatory] the byte returned by the printer
+ * @return {[Object]}        status
+ */
+export function parseStatus(type, byte) {
+  const n = typeof type === 'number' ? type : STATUS_TYPES[String(type).toUpperCase()];
+  if (typeof byte !== 'number') byte = byte && byte[0];
+  if (typeof byte !== 'number') throw new TypeError('status response is empty');
+  // every DLE EOT response has the 0xx1xx10 fixed bits
+  if ((byte & 0x93) !== 0x12) {
+    throw new Error(`Invalid status byte 0x${byte.toString(16)} for DLE EOT ${n}`);
+  }
+
+  switch (n) {
+    case STATUS_TYPES.PRINTER:
+      return {
+        drawerOpen: bit(byte, 2),
+        online: !bit(byte, 3),
+        waitingForRecovery: bit(byte, 5),
+        feedButtonPressed: bit(byte, 6),
+      };
+    case STATUS_TYPES.OFFLINE:
+      return {
+        coverOpen: bit(byte, 2),
+        paperFeeding: bit(byte, 3),
+        paperEndStop: bit(byte, 5),
+        errorOccurred: bit(byte, 6),
+      };
+    case STATUS_TYPES.ERROR:
+      return {
+        mechanicalError: bit(byte, 2),
+        cutterError: bit(byte, 3),
+        unrecoverableError: bit(byte, 5),
+        autoRecoverableError: bit(byte, 6),
+      };
+    case STATUS_TYPES.PAPER:
+      return {
+        paperNearEnd: bit(byte, 2) || bit(byte, 3),
+        paperEnd: bit(byte, 5) || bit(byte, 6),
+      };
+    default:
+      throw new TypeError(`Unknown status type ${type}`);
+  }
+}
+
+/**
+ * [decode the 4 bytes sent by Automatic Status Back (GS a n)]
+ * @param  {[Buffer|Array]} bytes [mandatory]
+ * @return {[Object]}       status
+ */
+export function parseAsbStatus(bytes) {
+  if (!bytes || bytes.length < 4) {
+    throw new TypeError('Automatic Status Back response must be 4 bytes');
+  }
+  const [b1, b2, b3, b4] = bytes;
+  if ((b1 & 0x93) !== 0x10 || (b2 & 0x90) !== 0 || (b3 & 0x90) !== 0 || (b4 & 0x90) !== 0) {
+    throw new Error('Invalid Automatic Status Back response');
+  }
+  return {
+    drawerOpen: bit(b1, 2),
+    online: !bit(b1, 3),
+    coverOpen: bit(b1, 5),
+    paperFeeding: bit(b1, 6),
+    mechanicalError: bit(b2, 2),
+    cutterError: bit(b2, 3),
+    unrecoverableError: bit(b2, 5),
+    autoRecoverableError: bit(b2, 6),
+    paperNearEnd: bit(b3, 0) || bit(b3, 1),
+    paperEnd: bit(b3, 2) || bit(b3, 3),
+  };
+}
+
+/**
+ * [check whether bytes look like the start of an Automatic Status Back block]
+ * @param  {[Buffer|Array]} bytes [mandatory]
+ * @return {[Boolean]}
+ */
+export function isAsbStatus(bytes) {
+  return !!bytes && bytes.length >= 4 && (bytes[0] & 0x93) === 0x10;
+}
+
+/**
+ * [query one real-time status (DLE EOT n) through a bidirectional transport]
+ * @param  {[Transport]}     transport [mandatory]
+ * @param  {[String|Number]} type      [optional] printer | offline | error | paper, or 1-4
+ * @return {[Promise<Object>]} status  [see parseStatus]
+ */
+export async function queryStatus(transport, type = 'printer') {
+  const n = typeof type === 'number' ? type : STATUS_TYPES[String(type).toUpperCase()];
+  if (!n) throw new TypeError(`Unknown status type ${type}`);
+  await writeChunks(transport, Buffer.from(STATUS.RT_REQUEST(n), 'binary'));
+  const response = await transport.read(1);
+  if (!response || !response.length) throw new Error('No status response from printer');
+  return parseStatus(n, response[response.length - 1]);
+}
+
+/**
+ * [query all four real-time statuses and merge them]
+ * @param  {[Transport]} transport [mandatory]
+ * @return {[Promise<Object>]} status { online, coverOpen, paperEnd, paperNearEnd, drawerOpen, cutterError, ... }
+ */
+export async function queryFullStatus(transport) {
+  const status = {};
+  for (const type of ['printer', 'offline', 'error', 'paper']) {
+    Object.assign(status, await queryStatus(transport, type));
+  }
+  return status;
+}
+
+/**
+ * [why a printer with this status cannot print now]
+ *
+ * @usage
+ *   notReadyReasons({ online: true, coverOpen: true }) => ['cover open']
+ *
+ * @param  {[Object]} status [mandatory] result of queryFullStatus or parseAsbStatus
+ * @return {[Array<String>]} reasons, empty when the printer is ready
+ */
+export function notReadyReasons(status) {
+  const reasons = [];
+  if (status.online === false) reasons.push('offline');
+  if (status.coverOpen) reasons.push('cover open');
+  if (status.paperEnd || status.paperEndStop) reasons.push('paper end');
+  if (status.mechanicalError || status.cutterError || status.unrecoverableError || status.autoRecoverableError) {
+    reasons.push('printer error');
+  }
+  return reasons;
+}
@@ -0,0 +1,297 @@
+'use strict';
+
+import { PrintImage } from "./image";
+
+/**
+ * Receipt templates: a JSON node tree, or the same tree written as markup,
+ * rendered by calling the matching Printer methods.
+ *
+ * @usage
+ *   renderTemplate(printer, `
+ *     <text align="ct" style="b" size="2,2">{{shop}}</text>
+ *     <each items="items" as="item">
+ *       <row><cell width="0.7">{{item.name}}</cell><cell align="right">{{item.price}}</cell></row>
+ *     </each>
+ *     <cut />`, { shop: 'ACME', items: [{ name: 'Tea', price: '3.00' }] })
+ */
+
+/**
+ * [TemplateError points at the node that could not be rendered]
+ * @param {[String]} message
+ * @param {[Object]} node  the offending node, its path and markup position are added to the message
+ */
+export class TemplateError extends Error {
+  constructor(message, node) {
+    const where = node && node.$path
+      ? ` at ${node.$path}${node.$line ? ` (line ${node.$line}, column ${node.$column})` : ''}`
+      : '';
+    super(`${message}${where}`);
+    this.name = 'TemplateError';
+    this.node = node;
+    this.path = node && node.$path;
+    this.line = node && node.$line;
+    this.column = node && node.$column;
+  }
+}
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(str) {
+  return str.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === '#') {
+      return String.fromCodePoint(code[1] === 'x' || code[1] === 'X'
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10));
+    }
+    return code in ENTITIES ? ENTITIES[code] : match;
+  });
+}
+
+// node types whose text content is stored as `value` instead of `text`
+const VALUE_NODES = ['barcode', 'qrcode', 'pdf417', 'datamatrix'];
+
+/**
+ * [parse template markup into the JSON node tree]
+ * @param  {[String]} source [mandatory]
+ * @return {[Object]} { type: 'document', children }
+ */
+export function parseMarkup(source) {
+  const root = { type: 'document', children: [], $line: 1, $column: 1 };
+  const stack = [root];
+  const tokenizer = /<!--[\s\S]*?-->|<\/\s*([\w-]+)\s*>|<([\w-]+)((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|(<)/g;
+  let match;
+
+  const position = (index) => {
+    const before = source.slice(0, index).split('\n');
+    return { $line: before.length, $column: before[before.length - 1].length + 1 };
+  };
+
+  while ((match = tokenizer.exec(source)) !== null) {
+    const [, closing, opening, attrs, selfClosing, text, stray] = match;
+    const parent = stack[stack.length - 1];
+    if (stray) {
+      throw new TemplateError('Malformed tag', { $path: 'markup', ...position(match.index) });
+    } else if (text !== undefined) {
+      if (text.trim()) parent.$text = (parent.$text || '') + decodeEntities(text.trim());
+    } else if (opening) {
+      const node = { type: opening, ...position(match.index) };
+      attrs.replace(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g, (m, name, dq, sq) => {
+        node[name] = decodeEntities(dq !== undefined ? dq : sq);
+      });
+      (parent.children = parent.children || []).push(node);
+      if (!selfClosing) stack.push(node);
+    } else if (closing) {
+      const node = stack.pop();
+      if (node === root || node.type !== closing) {
+        throw new TemplateError(`Unexpected closing tag </${closing}>`, {
+          $path: 'markup', ...position(match.index),
+        });
+      }
+      if (node.$text !== undefined) {
+        node[VALUE_NODES.indexOf(node.type) >= 0 ? 'value' : 'text'] = node.$text;
+        delete node.$text;
+      }
+    }
+  }
+  if (stack.length > 1) {
+    const node = stack[stack.length - 1];
+    throw new TemplateError(`Unclosed tag <${node.type}>`, { $path: 'markup', $line: node.$line, $column: node.$column });
+  }
+  return root;
+}
+
+/**
+ * [resolve a dotted path like order.items.0.name in the scope]
+ * @param  {[Object]} scope
+ * @param  {[String]} path
+ * @return {[any]}    undefined when a segment is missing
+ */
+function lookup(scope, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), scope);
+}
+
+function interpolate(value, scope, node) {
+  if (typeof value !== 'string') return value;
+  // a lone placeholder keeps the type of the value, e.g. a PrintImage
+  const single = value.match(/^\{\{\s*([\w.$]+)\s*\}\}$/);
+  const resolve = (path) => {
+    const result = lookup(scope, path);
+    if (result === undefined) throw new TemplateError(`Unknown placeholder {{${path}}}`, node);
+    return result;
+  };
+  if (single) return resolve(single[1]);
+  return value.replace(/\{\{\s*([\w.$]+)\s*\}\}/g, (m, path) => String(resolve(path)));
+}
+
+// read a node attribute with placeholders resolved
+function attr(node, name, scope, fallback) {
+  return node[name] === undefined ? fallback : interpolate(node[name], scope, node);
+}
+
+function numberAttr(node, name, scope, fallback) {
+  const value = attr(node, name, scope, fallback);
+  if (value === undefined || typeof value === 'number') return value;
+  const number = Number(value);
+  if (isNaN(number)) throw new TemplateError(`Attribute ${name} must be a number, got ${JSON.stringify(value)}`, node);
+  return number;
+}
+
+function boolAttr(node, name, scope) {
+  const value = attr(node, name, scope, false);
+  return value === true || value === 'true' || value === '' || value === name;
+}
+
+// size="2,2", size="2" or size: [2, 2]
+function sizeAttr(node, scope) {
+  const value = attr(node, 'size', scope);
+  if (value === undefined) return undefined;
+  const [w, h = w] = Array.isArray(value) ? value : String(value).split(/[,x\s]+/);
+  const size = [Number(w), Number(h)];
+  if (size.some((n) => !Number.isInteger(n) || n < 1 || n > 8)) {
+    throw new TemplateError(`Attribute size must be one or two integers between 1 and 8, got ${JSON.stringify(value)}`, node);
+  }
+  return size;
+}
+
+// apply align / style / size / font around fn, then restore what was set before
+function formatted(printer, node, scope, fn) {
+  const align = attr(node, 'align', scope);
+  const style = attr(node, 'style', scope);
+  const font = attr(node, 'font', scope);
+  const size = sizeAttr(node, scope);
+  printer.withStyle({ align, font, style, size }, fn);
+}
+
+const RENDERERS = {
+  text(printer, node, scope) {
+    formatted(printer, node, scope, () => printer.text(attr(node, 'text', scope, '')));
+  },
+  paragraph(printer, node, scope) {
+    formatted(printer, node, scope, () => printer.paragraph(attr(node, 'text', scope, ''), {
+      align: attr(node, 'textAlign', scope),
+      indent: numberAttr(node, 'indent', scope, 0),
+      hangingIndent: numberAttr(node, 'hangingIndent', scope, 0),
+      justify: boolAttr(node, 'justify', scope),
+    }));
+  },
+  row(printer, node, scope) {
+    const cells = node.cells || (node.children || []).filter((child) => child.type === 'cell');
+    if (!cells.length) throw new TemplateError('A row needs at least one cell', node);
+    const data = cells.map((cell, i) => {
+      if (cell.$path === undefined) cell.$path = `${node.$path}.cells[${i}]`;
+      const result = { text: String(attr(cell, 'text', scope, '')), align: attr(cell, 'align', scope, 'left') };
+      const width = numberAttr(cell, 'width', scope);
+      const cols = numberAttr(cell, 'cols', scope);
+      const style = attr(cell, 'style', scope);
+      if (width !== undefined) result.width = width;
+      if (cols !== undefined) result.cols = cols;
+      if (style) result.style = style;
+      return result;
+    });
+    const size = sizeAttr(node, scope);
+    printer.tableCustom(data, { size: size || [1, 1], encoding: printer.encoding });
+  },
+  line(printer, node, scope) {
+    printer.drawLine(attr(node, 'character', scope, '-'));
+  },
+  feed(printer, node, scope) {
+    printer.feed(numberAttr(node, 'lines', scope, 1));
+  },
+  barcode(printer, node, scope) {
+    formatted(printer, { align: node.align, $path: node.$path }, scope, () => printer.barcode(
+      attr(node, 'value', scope, ''),
+      attr(node, 'barcodeType', scope, attr(node, 'format', scope, 'EAN13')),
+      {
+        width: numberAttr(node, 'width', scope),
+        height: numberAttr(node, 'height', scope),
+        position: attr(node, 'position', scope),
+        font: attr(node, 'font', scope),
+        includeParity: node.includeParity === undefined ? undefined : boolAttr(node, 'includeParity', scope),
+        gs1: boolAttr(node, 'gs1', scope),
+      }
+    ));
+  },
+  qrcode(printer, node, scope) {
+    formatted(printer, { align: node.align, $path: node.$path }, scope, () => printer.qrcode(
+      attr(node, 'value', scope, ''),
+      {
+        size: numberAttr(node, 'size', scope),
+        level: attr(node, 'level', scope),
+        model: attr(node, 'model', scope),
+        render: attr(node, 'render', scope),
+      }
+    ));
+  },
+  image(printer, node, scope) {
+    const src = node.src === undefined ? undefined : lookup(scope, String(node.src).replace(/^\{\{\s*|\s*\}\}$/g, ''));
+    if (!(src instanceof PrintImage)) {
+      throw new TemplateError(`Image src ${JSON.stringify(node.src)} must name a PrintImage in the data`, node);
+    }
+    formatted(printer, { align: node.align, $path: node.$path }, scope, () => printer.raster(src, attr(node, 'mode', scope, 'NORMAL')));
+  },
+  cut(printer, node, scope) {
+    printer.cut(boolAttr(node, 'partial', scope), numberAttr(node, 'feed', scope, 3));
+  },
+  cashdraw(printer, node, scope) {
+    printer.cashdraw(numberAttr(node, 'pin', scope, 2));
+  },
+  each(printer, node, scope) {
+    const items = node.items === undefined
+      ? undefined
+      : lookup(scope, String(node.items).replace(/^\{\{\s*|\s*\}\}$/g, ''));
+    if (!Array.isArray(items)) throw new TemplateError(`each items ${JSON.stringify(node.items)} is not an array`, node);
+    const as = node.as || 'item';
+    items.forEach((item, index) => {
+      renderChildren(printer, node, { ...scope, [as]: item, index });
+    });
+  },
+  if(printer, node, scope) {
+    const value = lookup(scope, String(node.test || '').replace(/^\{\{\s*|\s*\}\}$/g, ''));
+    const truthy = Array.isArray(value) ? value.length > 0 : !!value;
+    if (truthy !== boolAttr(node, 'not', scope)) renderChildren(printer, node, scope);
+  },
+};
+
+// containers only render their children
+['document', 'receipt', 'template', 'fragment'].forEach((type) => {
+  RENDERERS[type] = (printer, node, scope) => renderChildren(printer, node, scope);
+});
+
+function renderChildren(printer, node, scope) {
+  (node.children || []).forEach((child, i) => renderNode(printer, child, scope, `${node.$path}.children[${i}]`));
+}
+
+function renderNode(printer, node, scope, path) {
+  if (node === null || typeof node !== 'object' || Array.isArray(node)) {
+    throw new TemplateError(`Invalid node ${JSON.stringify(node)}`, { $path: path });
+  }
+  if (node.$path === undefined) node.$path = path;
+  const render = RENDERERS[node.type];
+  if (!render) throw new TemplateError(`Unknown node type ${JSON.stringify(node.type)}`, node);
+  try {
+    render(printer, node, scope);
+  } catch (err) {
+    if (err instanceof TemplateError) throw err;
+    const wrapped = new TemplateError(err.message, node);
+    wrapped.cause = err;
+    throw wrapped;
+  }
+}
+
+/**
+ * [render a template document with a Printer]
+ * @param  {[Printer]}              printer  [mandatory]
+ * @param  {[String|Object|Array]}  template [mandatory] markup, a node tree or a list of nodes
+ * @param  {[Object]}               data     [optional] values for {{placeholders}}
+ * @return {[Printer]} printer
+ */
+export function renderTemplate(printer, template, data = {}) {
+  let root;
+  if (typeof template === 'string') root = parseMarkup(template);
+  else if (Array.isArray(template)) root = { type: 'document', children: template };
+  else root = template;
+  // work on a copy, node paths are written while rendering
+  root = JSON.parse(JSON.stringify(root));
+  renderNode(printer, root, data, '$');
+  return printer;
+}
@@ -0,0 +1,653 @@
+'use strict';
+
+import { Buffer } from "buffer";
+import { EPOS_PRINT_NAMESPACE } from "./epos";
+
+/**
+ * [Transport base class, every adapter implements open/write/read/close]
+ * maxPacketSize is the largest chunk `write()` may receive at once.
+ * throttle is a pause in ms between chunks, for printers that need time to
+ * process what they got, e.g. graphics over a slow serial line.
+ * imageDelay is a pause in ms after the data of each Printer.image(), 200 by
+ * default as image() used to wait that long; 0 turns it off.
+ * @param {[Object]} options [optional] { throttle, imageDelay }
+ */
+export class Transport {
+  maxPacketSize = 512;
+  throttle = 0;
+  imageDelay = 200;
+  opened = false;
+
+  constructor(options = {}) {
+    if (options.throttle) this.throttle = options.throttle;
+    if (options.imageDelay !== undefined) this.imageDelay = options.imageDelay;
+  }
+
+  /**
+   * [open the underlying device]
+   * @return {[Promise]}
+   */
+  async open() {
+    this.opened = true;
+  }
+
+  /**
+   * [write a single chunk, never longer than maxPacketSize]
+   * @param  {[Buffer]} data [mandatory]
+   * @return {[Promise]}
+   */
+  async write() {
+    throw new Error(`${this.constructor.name} does not support write`);
+  }
+
+  /**
+   * [read bytes sent back by the printer]
+   * @param  {[Number]} length [optional]
+   * @return {[Promise<Buffer>]}
+   */
+  async read() {
+    throw new Error(`${this.constructor.name} does not support read`);
+  }
+
+  /**
+   * [close the underlying device]
+   * @return {[Promise]}
+   */
+  async close() {
+    this.opened = false;
+  }
+}
+
+/**
+ * [write data through a transport, split by its maxPacketSize]
+ * Chunks are also split at the pauses, where the transport's imageDelay is waited.
+ * @param  {[Transport]} transport [mandatory]
+ * @param  {[Buffer]}    data      [mandatory]
+ * @param  {[Array]}     pauses    [optional] offsets in data, in ascending order
+ * @return {[Promise]}
+ */
+export async function writeChunks(transport, data, pauses = []) {
+  if (!transport.opened) await transport.open();
+  const size = transport.maxPacketSize > 0 ? transport.maxPacketSize : data.length;
+  // a transport without a packet size takes the data whole
+  const ends = (transport.maxPacketSize > 0 ? pauses : [])
+    .filter((end) => end > 0 && end < data.length)
+    .concat(data.length);
+  let start = 0;
+  for (const end of ends) {
+    for (let offset = start; offset < end; offset += size) {
+      const wait = offset === 0 ? 0 : Math.max(transport.throttle, offset === start ? transport.imageDelay : 0);
+      if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+      await transport.write(data.subarray(offset, Math.min(offset + size, end)));
+    }
+    start = end;
+  }
+}
+
+/**
+ * [In-memory transport, records every write and replays queued responses]
+ * Mostly useful for tests and for inspecting output in Node.
+ */
+export class MemoryTransport extends Transport {
+  writes = [];
+  responses = [];
+  failures = [];
+
+  constructor(options = {}) {
+    super(options);
+    if (options.maxPacketSize) this.maxPacketSize = options.maxPacketSize;
+  }
+
+  async write(data) {
+    if (this.failures.length) throw this.failures.shift();
+    this.writes.push(Buffer.from(data));
+  }
+
+  async read() {
+    return this.responses.length ? this.responses.shift() : Buffer.alloc(0);
+  }
+
+  /**
+   * [make the next writes throw, to test retries]
+   * @param  {[Number]} count [optional] default 1
+   * @param  {[Error]}  error [optional]
+   * @return {[MemoryTransport]}
+   */
+  fail(count = 1, error = new Error('MemoryTransport write failed')) {
+    for (let i = 0; i < count; i++) this.failures.push(error);
+    return this;
+  }
+
+  /**
+   * [queue bytes to be returned by the next read()]
+   * @param  {[Buffer|Array]} data [mandatory]
+   * @return {[MemoryTransport]}
+   */
+  respond(data) {
+    this.responses.push(Buffer.from(data));
+    return this;
+  }
+
+  /**
+   * [all written bytes concatenated]
+   * @return {[Buffer]}
+   */
+  get data() {
+    return Buffer.concat(this.writes);
+  }
+}
+
+/**
+ * [WebUSB adapter]
+ * @param {[USBDevice]} device  [mandatory]
+ * @param {[Object]}    options [optional] { interfaceNumber, configurationValue, throttle, imageDelay }
+ */
+export class UsbTransport extends Transport {
+  device;
+  options;
+  interfaceNumber = null;
+  endpointOut = null;
+  endpointIn = null;
+
+  constructor(device, options = {}) {
+    super(options);
+    this.device = device;
+    this.options = options;
+  }
+
+  /**
+   * [ask the user to pick a USB printer]
+   * @param  {[Array]} filters [optional]
+   * @return {[Promise<UsbTransport>]}
+   */
+  static async request(filters = [{ classCode: 7 }], options) {
+    const device = await navigator.usb.requestDevice({ filters });
+    return new UsbTransport(device, options);
+  }
+
+  async open() {
+    const device = this.device;
+    if (!device.opened) await device.open();
+    if (device.configuration === null) {
+      await device.selectConfiguration(this.options.configurationValue || 1);
+    }
+    const iface = device.configuration.interfaces.find(({ interfaceNumber, alternate }) => (
+      this.options.interfaceNumber == null || interfaceNumber === this.options.interfaceNumber
+    ) && alternate.endpoints.some((ep) => ep.direction === 'out'));
+    if (!iface) throw new Error('No USB interface with an OUT endpoint found');
+
+    await device.claimInterface(iface.interfaceNumber);
+    const endpoints = iface.alternate.endpoints;
+    const out = endpoints.find((ep) => ep.direction === 'out');
+    const input = endpoints.find((ep) => ep.direction === 'in');
+    this.interfaceNumber = iface.interfaceNumber;
+    this.endpointOut = out.endpointNumber;
+    this.endpointIn = input ? input.endpointNumber : null;
+    this.maxPacketSize = out.packetSize || this.maxPacketSize;
+    this.opened = true;
+  }
+
+  async write(data) {
+    await this.device.transferOut(this.endpointOut, data);
+  }
+
+  async read(length = 64) {
+    if (this.endpointIn === null) throw new Error('USB device has no IN endpoint');
+    const result = await this.device.transferIn(this.endpointIn, length);
+    return Buffer.from(result.data.buffer, result.data.byteOffset, result.data.byteLength);
+  }
+
+  async close() {
+    if (this.interfaceNumber !== null) await this.device.releaseInterface(this.interfaceNumber);
+    await this.device.close();
+    this.opened = false;
+  }
+}
+
+/**
+ * [Web Serial adapter]
+ * @param {[SerialPort]} port    [mandatory]
+ * @param {[Object]}     options [optional] { baudRate, maxPacketSize, throttle, imageDelay }
+ */
+export class SerialTransport extends Transport {
+  port;
+  options;
+  writer = null;
+
+  constructor(port, options = {}) {
+    super(options);
+    this.port = port;
+    this.options = options;
+    this.maxPacketSize = options.maxPacketSize || 1024;
+  }
+
+  /**
+   * [ask the user to pick a serial port]
+   * @param  {[Object]} options [optional]
+   * @return {[Promise<SerialTransport>]}
+   */
+  static async request(options) {
+    const port = await navigator.serial.requestPort();
+    return new SerialTransport(port, options);
+  }
+
+  async open() {
+    const { baudRate = 9600, dataBits, stopBits, parity, flowControl } = this.options;
+    await this.port.open({ baudRate, dataBits, stopBits, parity, flowControl });
+    this.writer = this.port.writable.getWriter();
+    this.opened = true;
+  }
+
+  async write(data) {
+    await this.writer.write(data);
+  }
+
+  async read() {
+    const reader = this.port.readable.getReader();
+    try {
+      const { value } = await reader.read();
+      return Buffer.from(value || []);
+    } finally {
+      reader.releaseLock();
+    }
+  }
+
+  async close() {
+    if (this.writer) {
+      this.writer.releaseLock();
+      this.writer = null;
+    }
+    await this.port.close();
+    this.opened = false;
+  }
+}
+
+// Service and characteristic exposed by most BLE thermal printers
+export const BLUETOOTH_PRINTER_SERVICE = '000018f0-0000-1000-8000-00805f9b34fb';
+export const BLUETOOTH_PRINTER_CHARACTERISTIC = '00002af1-0000-1000-8000-00805f9b34fb';
+
+/**
+ * [Web Bluetooth GATT adapter]
+ * @param {[BluetoothDevice]} device  [mandatory]
+ * @param {[Object]}          options [optional] { service, characteristic, maxPacketSize, throttle, imageDelay }
+ */
+export class BluetoothTransport extends Transport {
+  device;
+  options;
+  characteristic = null;
+
+  constructor(device, options = {}) {
+    super(options);
+    this.device = device;
+    this.options = options;
+    // default ATT MTU is 23 bytes, 3 of which are the header
+    this.maxPacketSize = options.maxPacketSize || 20;
+  }
+
+  /**
+   * [ask the user to pick a bluetooth printer]
+   * @param  {[Object]} options [optional]
+   * @return {[Promise<BluetoothTransport>]}
+   */
+  static async request(options = {}) {
+    const device = await navigator.bluetooth.requestDevice({
+      filters: [{ services: [options.service || BLUETOOTH_PRINTER_SERVICE] }],
+    });
+    return new BluetoothTransport(device, options);
+  }
+
+  async open() {
+    const server = await this.device.gatt.connect();
+    const service = await server.getPrimaryService(this.options.service || BLUETOOTH_PRINTER_SERVICE);
+    this.characteristic = await service.getCharacteristic(
+      this.options.characteristic || BLUETOOTH_PRINTER_CHARACTERISTIC
+    );
+    this.opened = true;
+  }
+
+  async write(data) {
+    const characteristic = this.characteristic;
+    if (characteristic.properties.writeWithoutResponse && characteristic.writeValueWithoutResponse) {
+      await characteristic.writeValueWithoutResponse(data);
+    } else {
+      await characteristic.writeValue(data);
+    }
+  }
+
+  async read() {
+    const view = await this.characteristic.readValue();
+    return Buffer.from(view.buffer, view.byteOffset, view.byteLength);
+  }
+
+  async close() {
+    if (this.device.gatt.connected) this.device.gatt.disconnect();
+    this.characteristic = null;
+    this.opened = false;
+  }
+}
+
+/**
+ * [raw TCP adapter for network printers, Node only]
+ * Writes wait for the socket to drain, so large jobs never pile up in memory.
+ * Bytes the printer sends back are kept until read() asks for them.
+ *
+ * @usage
+ *   const transport = new NetworkTransport('192.168.1.50');
+ *   await printer.text('Hello').cut().send(transport);
+ *
+ * @param {[String]} host    [mandatory]
+ * @param {[Number]} port    [optional] default 9100
+ * @param {[Object]} options [optional] { timeout: connect ms, writeTimeout: ms, readTimeout: ms, maxPacketSize, throttle, imageDelay }
+ */
+export class NetworkTransport extends Transport {
+  host;
+  port;
+  options;
+  socket = null;
+  received = Buffer.alloc(0);
+  _onData = null;
+
+  constructor(host, port = 9100, options = {}) {
+    super(options);
+    this.host = host;
+    this.port = port;
+    this.options = { timeout: 10000, writeTimeout: 10000, readTimeout: 2000, ...options };
+    this.maxPacketSize = options.maxPacketSize || 8192;
+  }
+
+  async open() {
+    const net = require('net');
+    this.received = Buffer.alloc(0);
+    this.socket = await new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Timed out connecting to ${this.host}:${this.port}`));
+      }, this.options.timeout);
+      const failed = (error) => {
+        clearTimeout(timer);
+        reject(error);
+      };
+      socket.once('error', failed);
+      socket.once('connect', () => {
+        clearTimeout(timer);
+        socket.removeListener('error', failed);
+        resolve(socket);
+      });
+    });
+    this.socket.on('data', (chunk) => {
+      this.received = Buffer.concat([this.received, chunk]);
+      if (this._onData) this._onData();
+    });
+    // errors surface through the pending write or read
+    this.socket.on('error', () => {});
+    this.socket.on('close', () => {
+      this.opened = false;
+      if (this._onData) this._onData();
+    });
+    this.opened = true;
+  }
+
+  write(data) {
+    const socket = this.socket;
+    return new Promise((resolve, reject) => {
+      const drained = () => done();
+      const done = (error) => {
+        clearTimeout(timer);
+        socket.removeListener('drain', drained);
+        socket.removeListener('error', done);
+        if (error) reject(error);
+        else resolve();
+      };
+      const timer = setTimeout(() => {
+        socket.destroy();
+        done(new Error(`Timed out writing to ${this.host}:${this.port}`));
+      }, this.options.writeTimeout);
+      socket.once('error', done);
+      if (socket.write(data)) done();
+      else socket.once('drain', drained);
+    });
+  }
+
+  /**
+   * [bytes sent back by the printer, waits up to readTimeout for the first one]
+   * @param  {[Number]} length [optional] at most this many bytes, default all received
+   * @return {[Promise<Buffer>]} empty when nothing arrived in time
+   */
+  async read(length) {
+    if (!this.received.length && this.opened) {
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, this.options.readTimeout);
+        this._onData = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      this._onData = null;
+    }
+    const size = length === undefined ? this.received.length : Math.min(length, this.received.length);
+    const data = this.received.subarray(0, size);
+    this.received = this.received.subarray(size);
+    return data;
+  }
+
+  async close() {
+    const socket = this.socket;
+    this.socket = null;
+    this.opened = false;
+    if (!socket || socket.destroyed) return;
+    await new Promise((resolve) => {
+      // give the printer time to take the last bytes, then hang up anyway
+      const timer = setTimeout(() => {
+        socket.destroy();
+        resolve();
+      }, this.options.timeout);
+      socket.once('close', () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      socket.end();
+    });
+  }
+}
+
+/**
+ * [client of the print bridge in lib/bridge.js, for browsers]
+ * Every flush() or send() becomes one job for the named printer. A write
+ * resolves once the bridge has queued the job, or printed it when
+ * options.wait is set (HTTP only). Job updates go to options.onStatus.
+ *
+ * @usage
+ *   const transport = new BridgeTransport('https://pos-bridge.local:8080', { token, printer: 'kitchen' });
+ *   await printer.text('Order #12').cut().send(transport);
+ *
+ * @param {[String]} url     [mandatory] http(s):// or ws(s):// address of the bridge
+ * @param {[Object]} options [mandatory] { token, printer, wait, onStatus(job) }
+ */
+export class BridgeTransport extends Transport {
+  url;
+  options;
+  socket = null;
+  job = null;
+  _requests = {};
+  _ref = 0;
+
+  constructor(url, options = {}) {
+    super(options);
+    this.url = url.replace(/\/+$/, '');
+    this.options = options;
+    // a job is sent whole
+    this.maxPacketSize = 0;
+  }
+
+  get websocket() {
+    return /^wss?:/.test(this.url);
+  }
+
+  async open() {
+    if (this.websocket) {
+      const socket = new WebSocket(`${this.url}/?token=${encodeURIComponent(this.options.token)}`);
+      await new Promise((resolve, reject) => {
+        socket.onopen = resolve;
+        socket.onerror = () => reject(new Error(`Cannot connect to print bridge ${this.url}`));
+      });
+      socket.onmessage = (event) => this._receive(JSON.parse(event.data));
+      socket.onclose = () => {
+        this.opened = false;
+        Object.keys(this._requests).forEach((ref) => this._settle(ref, new Error('Print bridge closed the connection')));
+      };
+      this.socket = socket;
+    }
+    this.opened = true;
+  }
+
+  _receive(message) {
+    if (message.type === 'error') return this._settle(message.ref, new Error(message.error));
+    const job = { ...message };
+    delete job.type;
+    delete job.ref;
+    this.job = job;
+    if (this.options.onStatus) this.options.onStatus(job);
+    this._settle(message.ref, null, job);
+  }
+
+  _settle(ref, error, job) {
+    const request = this._requests[ref];
+    if (!request) return;
+    delete this._requests[ref];
+    if (error) request.reject(error);
+    else request.resolve(job);
+  }
+
+  _request(message) {
+    const ref = ++this._ref;
+    return new Promise((resolve, reject) => {
+      this._requests[ref] = { resolve, reject };
+      this.socket.send(JSON.stringify({ ...message, ref }));
+    });
+  }
+
+  async _fetch(path, init = {}) {
+    const response = await fetch(`${this.url}${path}`, {
+      ...init,
+      headers: { ...init.headers, Authorization: `Bearer ${this.options.token}` },
+    });
+    const body = await response.json();
+    if (!response.ok && !body.id) throw new Error(body.error || `Print bridge answered ${response.status}`);
+    this.job = body;
+    if (this.options.onStatus) this.options.onStatus(body);
+    return body;
+  }
+
+  async write(data) {
+    const printer = this.options.printer;
+    if (this.websocket) {
+      await this._request({ type: 'print', printer, data: Buffer.from(data).toString('base64') });
+      return;
+    }
+    const job = await this._fetch(`/print/${encodeURIComponent(printer)}${this.options.wait ? '?wait=1' : ''}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body: data,
+    });
+    if (job.status === 'failed') throw new Error(`Print job ${job.id} failed: ${job.error}`);
+  }
+
+  /**
+   * [status of a job sent through the bridge]
+   * @param  {[String]} id [optional] default the last job
+   * @return {[Promise<Object>]} { id, printer, status, attempts, error }
+   */
+  async status(id = this.job && this.job.id) {
+    if (this.websocket) return this._request({ type: 'job', id });
+    return this._fetch(`/jobs/${encodeURIComponent(id)}`);
+  }
+
+  async close() {
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+    this.opened = false;
+  }
+}
+
+/**
+ * [EposError is a print request the ePOS-Print device turned down]
+ * @param {[String]} code    ePOS-Print error code, e.g. EPTR_COVER_OPEN
+ * @param {[Number]} status  printer status bits
+ */
+export class EposError extends Error {
+  constructor(code, status) {
+    super(`ePOS-Print request failed: ${code || 'unknown error'}`);
+    this.name = 'EposError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * [ePOS-Print adapter, posts documents to /cgi-bin/epos/service.cgi of an Epson TM-i or TM-m30]
+ * print() takes an EposPrinter document; write() sends ESC/POS bytes from
+ * Printer wrapped in a command element, so Printer.send() works too.
+ *
+ * @usage
+ *   await new EposPrinter().text('Hello').cut().send(new EposTransport('192.168.1.60'));
+ *   await new Printer().text('Hello').cut().send(new EposTransport('http://localhost:8080'));
+ *
+ * @param {[String]} host    [mandatory] device address, or a base URL
+ * @param {[Object]} options [optional] { devid: 'local_printer', timeout: ms, fetch }
+ */
+export class EposTransport extends Transport {
+  url;
+  options;
+
+  constructor(host, options = {}) {
+    super(options);
+    const base = /^https?:\/\//.test(host) ? host.replace(/\/+$/, '') : `http://${host}`;
+    this.url = /\/cgi-bin\//.test(base) ? base : `${base}/cgi-bin/epos/service.cgi`;
+    this.options = { devid: 'local_printer', timeout: 10000, ...options };
+    // a document is sent whole
+    this.maxPacketSize = 0;
+  }
+
+  /**
+   * [post an ePOS-Print document]
+   * @param  {[String]} xml [mandatory] an <epos-print> element
+   * @return {[Promise<Object>]} response { success, code, status }
+   */
+  async print(xml) {
+    const { devid, timeout } = this.options;
+    const fetcher = this.options.fetch || fetch;
+    const envelope = '<?xml version="1.0" encoding="utf-8"?>'
+      + '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/">'
+      + `<s:Body>${xml}</s:Body></s:Envelope>`;
+    const response = await fetcher(`${this.url}?devid=${encodeURIComponent(devid)}&timeout=${timeout}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/xml; charset=utf-8',
+        'If-Modified-Since': 'Thu, 01 Jan 1970 00:00:00 GMT',
+        SOAPAction: '""',
+      },
+      body: envelope,
+    });
+    if (!response.ok) throw new EposError(`HTTP ${response.status}`);
+    const body = await response.text();
+    const attribute = (name) => {
+      const match = new RegExp(`<(?:\\w+:)?response\\b[^>]*\\s${name}="([^"]*)"`).exec(body);
+      return match ? match[1] : undefined;
+    };
+    const result = {
+      success: attribute('success') === 'true',
+      code: attribute('code') || '',
+      status: Number(attribute('status') || 0),
+    };
+    if (!result.success) throw new EposError(result.code, result.status);
+    return result;
+  }
+
+  async write(data) {
+    const hex = Buffer.from(data).toString('hex');
+    await this.print(`<epos-print xmlns="${EPOS_PRINT_NAMESPACE}"><command>${hex}</command></epos-print>`);
+  }
+}
@@ -2,7 +2,7 @@ const { Buffer } = require('buffer')
 const path          = require('path')
 const ndarray       = require('ndarray')
 const GifReader     = require('omggif').GifReader
-const parseDataURI  = require('data-uri-to-buffer')
+const { decodeDataUri } = require('./node-pixels')
 
 function defaultImage(url, cb) {
   const img = new Image()
@@ -97,7 +97,7 @@ function copyBuffer(buffer) {
 function dataGif(url, cb) {
   process.nextTick(function() {
     try {
-      const buffer = parseDataURI(url)
+      const buffer = decodeDataUri(url)
       if(buffer) {
         handleGif(copyBuffer(buffer), cb)
       } else {
@@ -42,4 +42,84 @@
   export function isKey(key, of) {
     return key in of;
   }
-  
\ No newline at end of file
+  
+
+  export function assertRange(name, value, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+      throw new RangeError(`Invalid ${name} ${value}. Must be an integer between ${min} and ${max}`);
+    }
+    return value;
+  }
+
+  // CJK ideographs, kana, hangul and full-width forms may break anywhere
+  const CJK_CHAR = /[\u1100-\u11ff\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\ufe30-\ufe4f\uff00-\uffef]/;
+
+  /**
+   * [wrap text on word boundaries and between CJK characters]
+   * Runs of spaces are collapsed, a word longer than a line is split by character,
+   * a double-width character is never split across lines.
+   *
+   * @usage
+   *   wrapText('the quick brown fox', 10) => ['the quick', 'brown fox']
+   *   wrapText('first line wider', (i) => i === 0 ? 12 : 8)
+   *
+   * @param  {[String]}          str   [mandatory]
+   * @param  {[Number|Function]} width [mandatory] columns, or (lineIndex) => columns
+   * @return {[Array<String>]}   lines
+   */
+  export function wrapText(str, width) {
+    const widthOf = typeof width === 'function' ? width : () => width;
+    const tokens = [];
+    let space = false;
+    str.split('').forEach((char) => {
+      const last = tokens[tokens.length - 1];
+      if (/\s/.test(char)) {
+        space = true;
+      } else if (!CJK_CHAR.test(char) && last && !last.cjk && !space) {
+        last.text += char;
+      } else {
+        tokens.push({ text: char, cjk: CJK_CHAR.test(char), space });
+        space = false;
+      }
+    });
+
+    const lines = [];
+    let line = '';
+    const push = () => {
+      lines.push(line);
+      line = '';
+    };
+    tokens.forEach((token) => {
+      const sep = line && token.space ? ' ' : '';
+      if (textLength(line + sep + token.text) <= widthOf(lines.length)) {
+        line += sep + token.text;
+        return;
+      }
+      if (line) push();
+      // the word is too long for any line: break it by character
+      token.text.split('').forEach((char) => {
+        if (line && textLength(line + char) > widthOf(lines.length)) push();
+        line += char;
+      });
+    });
+    if (line || !lines.length) lines.push(line);
+    return lines;
+  }
+
+  /**
+   * [stretch a line to width by widening the gaps between words]
+   * @param  {[String]} line  [mandatory]
+   * @param  {[Number]} width [mandatory]
+   * @return {[String]}
+   */
+  export function justifyText(line, width) {
+    const words = line.split(' ');
+    const gaps = words.length - 1;
+    const extra = width - textLength(line);
+    if (gaps < 1 || extra <= 0) return line;
+    return words.reduce((acc, word, i) => {
+      if (i === 0) return word;
+      const spaces = 1 + Math.floor(extra / gaps) + (i <= extra % gaps ? 1 : 0);
+      return acc + ' '.repeat(spaces) + word;
+    }, '');
+  }
\ No newline at end of file
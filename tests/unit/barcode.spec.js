@@ -0,0 +1,94 @@
+import { Buffer } from "buffer";
+import { encodeCode128, validateBarcode, BarcodeError, FNC1 } from "../../lib/barcode";
+import { Printer } from "../../lib/index";
+
+// '{X' set switches as text, code set C digit pairs as [n]
+const code128 = (content, options) => {
+  const bytes = encodeCode128(content, options);
+  let result = '';
+  let set = null;
+  for (let i = 0; i < bytes.length; i++) {
+    if (bytes[i] === 0x7b && 'ABC1{'.indexOf(String.fromCharCode(bytes[i + 1])) >= 0) {
+      if ('ABC'.indexOf(String.fromCharCode(bytes[i + 1])) >= 0) set = String.fromCharCode(bytes[i + 1]);
+      result += String.fromCharCode(bytes[i], bytes[i + 1]);
+      i++;
+    } else {
+      result += set === 'C' ? `[${bytes[i]}]` : String.fromCharCode(bytes[i]);
+    }
+  }
+  return result;
+};
+
+describe('encodeCode128', () => {
+  it('uses code set B for text', () => {
+    expect(code128('ABC')).toBe('{BABC');
+    expect(code128('123')).toBe('{B123');
+  });
+
+  it('uses code set C for runs of 4 digits and a payload of 2 digits', () => {
+    expect(code128('12345678')).toBe('{C[12][34][56][78]');
+    expect(code128('12')).toBe('{C[12]');
+    expect(code128('AB1234')).toBe('{BAB{C[12][34]');
+  });
+
+  it('keeps the first digit of an odd run in the text set', () => {
+    expect(code128('A12345')).toBe('{BA1{C[23][45]');
+  });
+
+  it('switches to code set A for control characters', () => {
+    expect(code128('a\x01')).toBe('{Ba{A\x01');
+  });
+
+  it('escapes a literal brace', () => {
+    expect(code128('x{y')).toBe('{Bx{{y');
+  });
+
+  it('writes FNC1 for GS1 data', () => {
+    expect(code128(`0101234567890128${FNC1}10ABC`, { gs1: true }))
+      .toBe('{C{1[1][1][23][45][67][89][1][28]{1[10]{BABC');
+  });
+
+  it('rejects characters beyond ASCII', () => {
+    expect(() => encodeCode128('é')).toThrow(RangeError);
+  });
+
+  it('is what Printer.barcode sends with GS k 73', () => {
+    const bytes = new Printer({ encoding: 'GB18030', width: 48 }).barcode('12345678', 'CODE128').buffer.flush(true);
+    const payload = encodeCode128('12345678');
+    const start = bytes.indexOf(Buffer.from([0x1d, 0x6b, 73]));
+    expect(bytes[start + 3]).toBe(payload.length);
+    expect(bytes.subarray(start + 4, start + 4 + payload.length)).toEqual(payload);
+  });
+});
+
+describe('validateBarcode', () => {
+  it('returns valid content', () => {
+    expect(validateBarcode('EAN13', '400638133393')).toBe('400638133393');
+    expect(validateBarcode('EAN13', '4006381333931', { includeParity: false })).toBe('4006381333931');
+    expect(validateBarcode('CODE39', '*ABC-12*')).toBe('*ABC-12*');
+    expect(validateBarcode('CODE128', 'Tab\there')).toBe('Tab\there');
+  });
+
+  it('checks the check digit', () => {
+    expect(() => validateBarcode('EAN13', '4006381333932', { includeParity: false }))
+      .toThrow('check digit should be 1, got 2');
+    expect(() => validateBarcode('UPC_A', '036000291453')).toThrow(BarcodeError);
+  });
+
+  it('names the type, the rule and the value', () => {
+    let error = null;
+    try {
+      validateBarcode('ITF', '123');
+    } catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(BarcodeError);
+    expect(error.message).toBe('Invalid ITF barcode "123": must have an even number of digits');
+  });
+
+  it('allows ASCII 0-127 only in CODE128 and CODE93', () => {
+    expect(() => validateBarcode('CODE128', 'café')).toThrow('only ASCII characters 0-127 are allowed');
+    expect(() => validateBarcode('CODE93', '')).toThrow('must not be empty');
+    expect(() => validateBarcode('CODE128', 'x'.repeat(256))).toThrow('must be at most 255 characters');
+  });
+});
@@ -0,0 +1,87 @@
+import http from "http";
+import { Buffer } from "buffer";
+import { createBridge } from "../../lib/index";
+import { MemoryTransport } from "../../lib/transport";
+
+const TOKEN = 'secret';
+
+// answers as { status, body } with the body parsed from JSON
+function request(port, method, path, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path, headers }, (response) => {
+      const chunks = [];
+      response.on('data', (chunk) => chunks.push(chunk));
+      response.on('end', () => resolve({
+        status: response.statusCode,
+        headers: response.headers,
+        body: JSON.parse(Buffer.concat(chunks).toString() || 'null'),
+      }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+const auth = { Authorization: `Bearer ${TOKEN}` };
+
+describe('createBridge', () => {
+  let bridge;
+  let kitchen;
+  let port;
+
+  beforeEach(async () => {
+    kitchen = new MemoryTransport();
+    bridge = createBridge({
+      token: TOKEN,
+      printers: { kitchen: { transport: kitchen, printer: { width: 32 } } },
+      maxBodySize: 1024,
+      websocket: false,
+    });
+    ({ port } = await bridge.listen(0, '127.0.0.1'));
+  });
+
+  afterEach(() => bridge.close());
+
+  it('needs the token as a bearer or in the query', async () => {
+    expect(await request(port, 'GET', '/printers')).toMatchObject({ status: 401, body: { error: 'Invalid token' } });
+    expect((await request(port, 'GET', '/printers', { headers: { Authorization: 'Bearer secreT' } })).status).toBe(401);
+    expect(await request(port, 'GET', '/printers', { headers: auth })).toMatchObject({ status: 200, body: { printers: ['kitchen'] } });
+    expect((await request(port, 'GET', `/printers?token=${TOKEN}`)).status).toBe(200);
+  });
+
+  it('refuses printers that are not configured', async () => {
+    const answer = await request(port, 'POST', '/print/office', { headers: auth, body: 'hi' });
+    expect(answer).toMatchObject({ status: 403, body: { error: 'Printer office is not allowed' } });
+    expect(bridge.queue.pending()).toEqual([]);
+  });
+
+  it('queues raw bytes and reports the job', async () => {
+    const queued = await request(port, 'POST', '/print/kitchen', { headers: auth, body: 'Order #12\n' });
+    expect(queued).toMatchObject({ status: 202, body: { printer: 'kitchen' } });
+    await bridge.queue.idle();
+    expect(kitchen.data.toString()).toBe('Order #12\n');
+    expect(await request(port, 'GET', `/jobs/${queued.body.id}`, { headers: auth })).toEqual({
+      status: 200,
+      headers: expect.anything(),
+      body: { id: queued.body.id, printer: 'kitchen', status: 'done', attempts: 1, error: null },
+    });
+    expect((await request(port, 'GET', '/jobs/nope', { headers: auth })).status).toBe(404);
+  });
+
+  it('renders a template and answers once printed with ?wait', async () => {
+    const answer = await request(port, 'POST', '/print/kitchen?wait=1', {
+      headers: { ...auth, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ template: '<text>Hi {{name}}</text>', data: { name: 'Ann' } }),
+    });
+    expect(answer).toMatchObject({ status: 200, body: { status: 'done' } });
+    expect(kitchen.data.toString()).toBe('Hi Ann\n');
+  });
+
+  it('answers 413 to a job over maxBodySize and closes the connection', async () => {
+    const answer = await request(port, 'POST', '/print/kitchen', { headers: auth, body: Buffer.alloc(256 * 1024) });
+    expect(answer).toMatchObject({ status: 413, body: { error: 'Job is larger than 1024 bytes' } });
+    expect(answer.headers.connection).toBe('close');
+    expect(bridge.queue.pending()).toEqual([]);
+    expect(kitchen.writes).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+import { Buffer } from "buffer";
+import { Printer } from "../../lib/index";
+
+const printer = () => new Printer({ encoding: 'GB18030', width: 48 });
+const bytes = (printer) => printer.buffer.flush(true);
+
+// GS ( k pL pH cn fn params
+const fn = (cn, code, ...params) => {
+  const data = Buffer.from(params);
+  return Buffer.concat([Buffer.from([0x1d, 0x28, 0x6b, (data.length + 2) & 0xff, (data.length + 2) >> 8, cn, code]), data]);
+};
+
+describe('Printer.pdf417', () => {
+  it('sets up the symbol, stores the data and prints it', () => {
+    expect(bytes(printer().pdf417('AB'))).toEqual(Buffer.concat([
+      fn(0x30, 0x41, 0), // columns, automatic
+      fn(0x30, 0x42, 0), // rows, automatic
+      fn(0x30, 0x43, 3), // module width
+      fn(0x30, 0x44, 3), // row height
+      fn(0x30, 0x45, 0x30, 0x31), // error correction level 1
+      fn(0x30, 0x46, 0), // standard
+      fn(0x30, 0x50, 0x30, 0x41, 0x42),
+      fn(0x30, 0x51, 0x30),
+    ]));
+  });
+
+  it('passes the options through', () => {
+    const data = bytes(printer().pdf417('AB', { columns: 4, rows: 10, width: 2, height: 5, ratio: 5, truncated: true }));
+    expect(data.subarray(0, 49)).toEqual(Buffer.concat([
+      fn(0x30, 0x41, 4),
+      fn(0x30, 0x42, 10),
+      fn(0x30, 0x43, 2),
+      fn(0x30, 0x44, 5),
+      fn(0x30, 0x45, 0x31, 5), // error correction as 50% of the data
+      fn(0x30, 0x46, 1),
+    ]));
+  });
+
+  it('writes the data length as pL pH', () => {
+    const data = bytes(printer().pdf417('x'.repeat(300)));
+    const store = data.indexOf(Buffer.from([0x30, 0x50, 0x30])) - 5;
+    expect([...data.subarray(store, store + 5)]).toEqual([0x1d, 0x28, 0x6b, 0x2f, 0x01]);
+  });
+
+  it('rejects options out of range', () => {
+    expect(() => printer().pdf417('AB', { columns: 31 })).toThrow(RangeError);
+    expect(() => printer().pdf417('AB', { level: 9 })).toThrow(RangeError);
+    expect(() => printer().pdf417('')).toThrow(RangeError);
+  });
+});
+
+describe('Printer.datamatrix', () => {
+  it('stores and prints an automatic square symbol', () => {
+    expect(bytes(printer().datamatrix('AB'))).toEqual(Buffer.concat([
+      fn(0x36, 0x42, 0, 0, 0),
+      fn(0x36, 0x43, 3),
+      fn(0x36, 0x50, 0x30, 0x41, 0x42),
+      fn(0x36, 0x51, 0x30),
+    ]));
+  });
+
+  it('selects the shape, columns and rows', () => {
+    expect(bytes(printer().datamatrix('AB', { shape: 'rectangle', columns: 36, rows: 12, size: 4 })).subarray(0, 18)).toEqual(Buffer.concat([
+      fn(0x36, 0x42, 1, 36, 12),
+      fn(0x36, 0x43, 4),
+    ]));
+  });
+
+  it('rejects sizes the symbology does not have', () => {
+    expect(() => printer().datamatrix('AB', { columns: 11 })).toThrow(RangeError);
+    expect(() => printer().datamatrix('AB', { shape: 'rectangle', columns: 36, rows: 8 })).toThrow(RangeError);
+    expect(() => printer().datamatrix('AB', { shape: 'circle' })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,61 @@
+import { Buffer } from "buffer";
+import { encodeCodePages, transliterate } from "../../lib/codepages";
+import { Printer } from "../../lib/index";
+
+const TABLES = { 0: 'CP437', 17: 'CP866', 19: 'CP858' };
+
+// segments as [table, latin1 text of the bytes]
+const segments = (text, options) => {
+  const result = encodeCodePages(text, options);
+  return { table: result.table, segments: result.segments.map(({ table, bytes }) => [table, bytes.toString('latin1')]) };
+};
+
+describe('encodeCodePages', () => {
+  it('stays in the current table while it has the characters', () => {
+    expect(segments('Café 5€', { tables: TABLES, current: 0 })).toEqual({
+      table: 19,
+      segments: [[0, 'Caf\x82 5'], [19, '\xd5']],
+    });
+  });
+
+  it('switches to the table that covers the longest run ahead', () => {
+    // CP866 also has "Caf", so the switch back waits for the é
+    expect(segments('Привет Café', { tables: TABLES })).toEqual({
+      table: 0,
+      segments: [[17, '\x8f\xe0\xa8\xa2\xa5\xe2 Caf'], [0, '\x82']],
+    });
+  });
+
+  it('transliterates characters that no table has', () => {
+    expect(segments('Łódź ☃', { tables: TABLES, current: 0 })).toEqual({ table: 0, segments: [[0, 'L\xa2dz ?']] });
+    expect(segments('5€', { tables: { 0: 'CP437' } }).segments).toEqual([[0, '5EUR']]);
+  });
+
+  it('ignores code pages iconv does not know', () => {
+    expect(() => encodeCodePages('a', { tables: { 99: 'CP0000' } })).toThrow(RangeError);
+  });
+});
+
+describe('transliterate', () => {
+  it('spells characters in ASCII', () => {
+    expect(['…', '€', 'ñ', 'Å', '☃'].map(transliterate)).toEqual(['...', 'EUR', 'n', 'A', '?']);
+  });
+});
+
+describe("encoding 'auto'", () => {
+  const ESC_T = (n) => Buffer.from([0x1b, 0x74, n]);
+
+  it('selects a table with ESC t only where the text needs another one', () => {
+    const printer = new Printer({ encoding: 'auto', width: 48, profile: { codePages: { 0: 'CP437', 17: 'CP866' } } });
+    expect(printer.text('Café Чай').text('Чай').buffer.flush(true)).toEqual(Buffer.concat([
+      ESC_T(0), Buffer.from('Caf\x82 ', 'latin1'),
+      ESC_T(17), Buffer.from('\x97\xa0\xa9\n\x97\xa0\xa9\n', 'latin1'),
+    ]));
+  });
+
+  it('prefers a table that prints the whole line', () => {
+    // CP1252 has both é and €
+    expect(new Printer({ encoding: 'auto', width: 48 }).text('Café 5€').buffer.flush(true))
+      .toEqual(Buffer.concat([ESC_T(16), Buffer.from('Caf\xe9 5\x80\n', 'latin1')]));
+  });
+});
@@ -0,0 +1,31 @@
+import { Buffer } from "buffer";
+import { disassemble, formatTrace } from "../../lib/disassembler";
+import { Printer } from "../../lib/index";
+
+describe('disassemble', () => {
+  it('names commands after their constants', () => {
+    const bytes = new Printer({ encoding: 'GB18030', width: 48 }).align('ct').text('Hi').buffer.flush(true);
+    expect(formatTrace(disassemble(bytes))).toBe([
+      '0000  ESC a 1  TXT_ALIGN_CT',
+      '0003  "Hi"',
+      '0005  LF  EOL',
+    ].join('\n'));
+  });
+
+  it('gives the standard name to a truncated GS ( k', () => {
+    const [entry] = disassemble(Buffer.from([0x1d, 0x28, 0x6b, 0x05]));
+    expect(entry.truncated).toBe(true);
+    expect(entry.name).toBe('CODE2D_FUNCTION');
+  });
+
+  it('names a GS ( k of an unknown symbol after the 2D code function', () => {
+    const [entry] = disassemble(Buffer.from([0x1d, 0x28, 0x6b, 0x03, 0x00, 0x7f, 0x43, 0x05]));
+    expect(entry.name).toBe('CODE2D_FUNCTION');
+  });
+
+  it('marks a command cut off after its prefix', () => {
+    expect(disassemble(Buffer.from([0x1b]))).toEqual([
+      { offset: 0, length: 1, command: 'ESC', name: null, params: [], truncated: true },
+    ]);
+  });
+});
@@ -0,0 +1,61 @@
+import ndarray from "ndarray";
+import { toMonochrome } from "../../lib/dither";
+
+// RGBA pixels, width x height, from [r, g, b, a] values
+const pixels = (width, height, colors) => ndarray(
+  Uint8Array.from(colors.flat()), [width, height, 4], [4, 4 * width, 1], 0
+);
+const gray = (width, height, value) => pixels(width, height, Array(width * height).fill([value, value, value, 255]));
+
+// rows of 1 (dot) and 0 (paper)
+const rows = (dots, width) => Array.from({ length: dots.length / width }, (v, y) => (
+  dots.slice(y * width, (y + 1) * width).map(Number).join('')
+));
+
+describe('toMonochrome', () => {
+  it('prints everything but near white by default', () => {
+    const image = pixels(4, 1, [[255, 255, 255, 255], [0, 0, 0, 255], [190, 190, 190, 255], [0, 0, 0, 0]]);
+    expect(toMonochrome(image)).toEqual([false, true, true, false]);
+    expect(toMonochrome(image, { dither: 'threshold', threshold: 128 })).toEqual([false, true, false, false]);
+  });
+
+  it('diffuses the error to the right and below with Floyd-Steinberg', () => {
+    // 128 is just light enough for paper, the 7/16 of its error pushes the next pixel to a dot
+    expect(rows(toMonochrome(gray(3, 1, 128), { dither: 'floyd-steinberg' }), 3)).toEqual(['010']);
+    expect(rows(toMonochrome(gray(4, 4, 128), { dither: 'floyd-steinberg' }), 4)).toEqual([
+      '0101',
+      '1010',
+      '0101',
+      '1010',
+    ]);
+  });
+
+  it('diffuses 6/8 of the error with Atkinson', () => {
+    expect(rows(toMonochrome(gray(3, 1, 128), { dither: 'atkinson' }), 3)).toEqual(['011']);
+    expect(rows(toMonochrome(gray(4, 4, 128), { dither: 'atkinson' }), 4)).toEqual([
+      '0110',
+      '1001',
+      '1001',
+      '0110',
+    ]);
+  });
+
+  it('orders dots by the 4x4 Bayer matrix', () => {
+    expect(rows(toMonochrome(gray(4, 4, 128), { dither: 'bayer' }), 4)).toEqual([
+      '0101',
+      '1010',
+      '0101',
+      '1010',
+    ]);
+    expect(toMonochrome(gray(4, 4, 0), { dither: 'bayer' }).every(Boolean)).toBe(true);
+    expect(toMonochrome(gray(4, 4, 255), { dither: 'bayer' }).some(Boolean)).toBe(false);
+  });
+
+  it('blends transparent pixels onto white paper before dithering', () => {
+    expect(toMonochrome(pixels(2, 1, [[0, 0, 0, 0], [0, 0, 0, 0]]), { dither: 'floyd-steinberg' })).toEqual([false, false]);
+  });
+
+  it('rejects unknown modes', () => {
+    expect(() => toMonochrome(gray(1, 1, 0), { dither: 'halftone' })).toThrow(TypeError);
+  });
+});
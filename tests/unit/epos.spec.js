@@ -0,0 +1,164 @@
+import { Buffer } from "buffer";
+import ndarray from "ndarray";
+import { EposPrinter, escapeXml, EPOS_PRINT_NAMESPACE } from "../../lib/epos";
+import { EposTransport, EposError } from "../../lib/transport";
+import { PrintImage } from "../../lib/image";
+
+const epos = (options) => new EposPrinter({ encoding: 'GB18030', width: 48, ...options });
+
+// a black image, 8 x 2 dots
+const image = () => new PrintImage(ndarray(
+  new Uint8Array(8 * 2 * 4).map((v, i) => (i % 4 === 3 ? 255 : 0)), [8, 2, 4], [4, 32, 1], 0
+));
+
+// a fetch answering with an ePOS-Print response
+const device = (response, init = { ok: true, status: 200 }) => jest.fn(async () => ({ ...init, text: async () => response }));
+
+const RESPONSE = (success, code = '', status = 251658262) => '<?xml version="1.0" encoding="utf-8"?>'
+  + '<soapenv:Envelope xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"><soapenv:Body>'
+  + `<response success="${success}" code="${code}" status="${status}" battery="0" xmlns="${EPOS_PRINT_NAMESPACE}"/>`
+  + '</soapenv:Body></soapenv:Envelope>';
+
+describe('escapeXml', () => {
+  it('escapes markup, keeps line feeds as references and drops control characters', () => {
+    expect(escapeXml('<a href="x">&\'\n\x1b\tb')).toBe('&lt;a href=&quot;x&quot;&gt;&amp;&apos;&#10;\tb');
+  });
+});
+
+describe('EposPrinter', () => {
+  it('records text in the language of the encoding', () => {
+    expect(epos().text('你好').pureText(12).elements).toEqual([
+      '<text lang="zh-cn">你好&#10;</text>',
+      '<text lang="zh-cn">12</text>',
+    ]);
+    expect(epos({ encoding: 'Shift_JIS' }).pureText('a').elements).toEqual(['<text lang="ja">a</text>']);
+    expect(epos({ encoding: 'CP437', lang: 'de' }).pureText('a').elements).toEqual(['<text lang="de">a</text>']);
+  });
+
+  it('feeds lines', () => {
+    expect(epos().newLine().feed(3).elements).toEqual(['<feed/>', '<feed line="3"/>']);
+  });
+
+  it('aligns, picks the font and styles text', () => {
+    expect(epos().align('ct').font('B').style('BU').style('NORMAL').style(true, false, 1).elements).toEqual([
+      '<text align="center"/>',
+      '<text font="font_b"/>',
+      '<text em="true" ul="true"/>',
+      '<text em="false" ul="false"/>',
+      '<text em="true" ul="true"/>',
+    ]);
+    expect(() => epos().align('middle')).toThrow(RangeError);
+  });
+
+  it('warns about italic', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      expect(epos().style('I').elements).toEqual(['<text em="false" ul="false"/>']);
+      expect(warn).toHaveBeenCalledWith('Italic is not supported by ePOS-Print');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('clamps the character size to 1-8', () => {
+    expect(epos().size(2, 3).size(9, 0).elements).toEqual(['<text width="2" height="3"/>', '<text width="8" height="1"/>']);
+  });
+
+  it('records barcodes', () => {
+    expect(epos().barcode('1234567', 'EAN8', { height: 50, position: 'bth', font: 'b' }).elements).toEqual([
+      '<barcode type="ean8" hri="both" font="font_b" width="2" height="50">1234567</barcode>',
+    ]);
+    expect(() => epos().barcode('12', 'EAN8')).toThrow();
+  });
+
+  it('prints CODE128 in code set B unless the data picks one, escaping braces', () => {
+    const data = (code) => /<barcode[^>]*>(.*)<\/barcode>/.exec(epos().barcode(code, 'CODE128').elements[0])[1];
+    expect(data('a{b')).toBe('{Ba{{b');
+    expect(data('{C1234')).toBe('{C1234');
+  });
+
+  it('records QR codes', () => {
+    expect(epos().qrcode('hi', { level: 'm', size: 3 }).qrcode('a&b', 1).elements).toEqual([
+      '<symbol type="qrcode_model_2" level="level_m" width="3" height="0" size="0">hi</symbol>',
+      '<symbol type="qrcode_model_2" level="level_l" width="6" height="0" size="0">a&amp;b</symbol>',
+    ]);
+    expect(() => epos().qrcode('hi', { level: 'X' })).toThrow(RangeError);
+    expect(() => epos().qrcode('hi', { size: 17 })).toThrow(RangeError);
+  });
+
+  it('records raster images as base64, scaled by the mode', () => {
+    // fitting pads the height to 8 dots
+    expect(epos().raster(image()).raster(image(), 'dw', { fit: false }).elements).toEqual([
+      '<image width="8" height="8" color="color_1" mode="mono">//8AAAAAAAA=</image>',
+      '<image width="16" height="2" color="color_1" mode="mono">/////w==</image>',
+    ]);
+    expect(() => epos().raster({})).toThrow(TypeError);
+  });
+
+  it('feeds before the cut and warns about partial cuts', () => {
+    expect(epos().cut().elements).toEqual(['<feed line="3"/>', '<cut type="no_feed"/>']);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      expect(epos().cut(true, 0).elements).toEqual(['<cut type="no_feed"/>']);
+      expect(warn).toHaveBeenCalledWith('Partial cut is not supported by ePOS-Print, the device setting applies');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('kicks the drawer, beeps and sends raw bytes', () => {
+    expect(epos().cashdraw().cashdraw(5).beep(2).raw([0x1b, 0x40]).raw('1b 40').elements).toEqual([
+      '<pulse drawer="drawer_1" time="pulse_100"/>',
+      '<pulse drawer="drawer_2" time="pulse_100"/>',
+      '<sound pattern="pattern_a" repeat="2"/>',
+      '<command>1b40</command>',
+      '<command>1b40</command>',
+    ]);
+  });
+
+  it('wraps the elements in an epos-print document and clears them on send', async () => {
+    const printer = epos().feed();
+    expect(printer.toXml()).toBe(`<epos-print xmlns="${EPOS_PRINT_NAMESPACE}"><feed line="1"/></epos-print>`);
+    const transport = { print: jest.fn(async () => ({ success: true })) };
+    await printer.send(transport);
+    expect(transport.print).toHaveBeenCalledWith(`<epos-print xmlns="${EPOS_PRINT_NAMESPACE}"><feed line="1"/></epos-print>`);
+    expect(printer.elements).toEqual([]);
+    await expect(epos().send()).rejects.toThrow(TypeError);
+  });
+});
+
+describe('EposTransport', () => {
+  it('posts the document in a SOAP envelope to the device', async () => {
+    const fetch = device(RESPONSE(true));
+    const transport = new EposTransport('192.168.1.60', { fetch, devid: 'kitchen', timeout: 5000 });
+    expect(await transport.print('<epos-print/>')).toEqual({ success: true, code: '', status: 251658262 });
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('http://192.168.1.60/cgi-bin/epos/service.cgi?devid=kitchen&timeout=5000');
+    expect(request).toMatchObject({ method: 'POST', headers: { 'Content-Type': 'text/xml; charset=utf-8' } });
+    expect(request.body).toMatch(/<s:Body><epos-print\/><\/s:Body><\/s:Envelope>$/);
+  });
+
+  it('keeps a base URL and a full service URL', () => {
+    expect(new EposTransport('https://printer.local/').url).toBe('https://printer.local/cgi-bin/epos/service.cgi');
+    expect(new EposTransport('http://localhost:8080/cgi-bin/epos/service.cgi').url)
+      .toBe('http://localhost:8080/cgi-bin/epos/service.cgi');
+  });
+
+  it('rejects with the error code of the device', async () => {
+    const transport = new EposTransport('printer', { fetch: device(RESPONSE(false, 'EPTR_COVER_OPEN', 8)) });
+    const error = await transport.print('<epos-print/>').catch((e) => e);
+    expect(error).toBeInstanceOf(EposError);
+    expect(error).toMatchObject({ code: 'EPTR_COVER_OPEN', status: 8, message: 'ePOS-Print request failed: EPTR_COVER_OPEN' });
+  });
+
+  it('rejects HTTP errors', async () => {
+    const transport = new EposTransport('printer', { fetch: device('', { ok: false, status: 404 }) });
+    await expect(transport.print('<epos-print/>')).rejects.toMatchObject({ code: 'HTTP 404' });
+  });
+
+  it('sends ESC/POS bytes as a command element', async () => {
+    const fetch = device(RESPONSE(true));
+    await new EposTransport('printer', { fetch }).write(Buffer.from([0x1b, 0x40]));
+    expect(fetch.mock.calls[0][1].body).toContain(`<epos-print xmlns="${EPOS_PRINT_NAMESPACE}"><command>1b40</command></epos-print>`);
+  });
+});
@@ -0,0 +1,78 @@
+import { Buffer } from "buffer";
+import ndarray from "ndarray";
+import { PrintImage } from "../../lib/image";
+import { Printer } from "../../lib/index";
+import { MemoryTransport, writeChunks } from "../../lib/transport";
+
+// a black image, width x height dots
+const blackImage = (width, height) => new PrintImage(
+  ndarray(new Uint8Array(width * height * 4).fill(0).map((v, i) => (i % 4 === 3 ? 255 : 0)), [width, height, 4], [4, 4 * width, 1], 0)
+);
+
+// one pixel of each rgba color, in a row
+const pixels = (...colors) => new PrintImage(ndarray(new Uint8Array([].concat(...colors)), [colors.length, 1, 4], [4, 4 * colors.length, 1], 0));
+
+// width in dots of the first GS v 0 raster image
+const rasterWidth = (bytes) => bytes.readUInt16LE(bytes.indexOf(Buffer.from([0x1d, 0x76, 0x30])) + 4) * 8;
+
+describe('PrintImage', () => {
+  it('prints dark pixels', () => {
+    expect(blackImage(2, 2).data).toEqual([true, true, true, true]);
+  });
+
+  it('leaves near-white and transparent pixels blank', () => {
+    expect(pixels([255, 255, 255, 255], [210, 220, 201, 255], [0, 0, 0, 0], [128, 250, 250, 255]).data)
+      .toEqual([false, false, false, true]);
+  });
+});
+
+describe('image scaling', () => {
+  it('fits images to 12 dots per font A column', () => {
+    const printer = new Printer({ encoding: 'GB18030', width: 32 });
+    expect(rasterWidth(printer.raster(blackImage(800, 16)).buffer.flush(true))).toBe(384);
+  });
+
+  it('keeps the dot width after a font change', () => {
+    const printer = new Printer({ encoding: 'GB18030' });
+    printer.font('B');
+    expect(printer.width).toBe(56);
+    expect(rasterWidth(printer.raster(blackImage(800, 16)).buffer.flush(true))).toBe(576);
+  });
+
+  it('takes the dots of the profile', () => {
+    const printer = new Printer({ encoding: 'GB18030', profile: 'generic-58mm' });
+    expect(rasterWidth(printer.raster(blackImage(800, 16)).buffer.flush(true))).toBe(printer._profile.dots);
+  });
+});
+
+describe('image pacing', () => {
+  it('waits the imageDelay after each image, in its own chunk', async () => {
+    const transport = new MemoryTransport({ maxPacketSize: 1024, imageDelay: 50 });
+    const printer = new Printer({ encoding: 'GB18030', width: 32 }).text('a').image(blackImage(8, 8)).text('b');
+    const started = Date.now();
+    await printer.flush(transport);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(45);
+    expect(transport.writes.length).toBe(2);
+    expect(transport.writes[1].toString()).toBe('b\n');
+  });
+
+  it('is turned off with an imageDelay of 0', async () => {
+    const transport = new MemoryTransport({ imageDelay: 0 });
+    const started = Date.now();
+    await new Printer({ encoding: 'GB18030', width: 32 }).image(blackImage(8, 8)).cut().flush(transport);
+    expect(Date.now() - started).toBeLessThan(150);
+  });
+
+  it('leaves data whole on transports without a packet size', async () => {
+    const transport = new MemoryTransport({ imageDelay: 0 });
+    transport.maxPacketSize = 0;
+    await writeChunks(transport, Buffer.from('abcdef'), [2, 4]);
+    expect(transport.writes).toEqual([Buffer.from('abcdef')]);
+  });
+
+  it('keeps print() a raw write', () => {
+    const printer = new Printer({ encoding: 'GB18030', width: 32 });
+    expect(printer.print('\x1b@')).toBe(printer);
+    expect(printer.buffer.flush(true)).toEqual(Buffer.from('\x1b@'));
+  });
+});
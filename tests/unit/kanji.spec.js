@@ -0,0 +1,40 @@
+import { Buffer } from "buffer";
+import iconv from "iconv-lite";
+import { Printer } from "../../lib/index";
+
+const bytes = (printer) => printer.buffer.flush(true);
+const FS_ON = Buffer.from('\x1c\x26', 'latin1');
+
+describe('double-byte mode', () => {
+  it('leaves text alone on printers without double-byte support', () => {
+    const printer = new Printer({ encoding: 'GB18030', width: 48 });
+    expect(bytes(printer.text('你好'))).toEqual(iconv.encode('你好\n', 'GB18030'));
+  });
+
+  it('enters the mode once on a profile that lists the code system', () => {
+    const printer = new Printer({ encoding: 'GB18030', width: 48, profile: 'generic-80mm-zh' });
+    expect(bytes(printer.text('你好').text('再见'))).toEqual(Buffer.concat([
+      FS_ON, iconv.encode('你好\n再见\n', 'GB18030'),
+    ]));
+  });
+
+  it('can be turned on for any code system with options.kanji', () => {
+    const printer = new Printer({ encoding: 'Big5', width: 48, kanji: true });
+    expect(bytes(printer.text('台灣')).subarray(0, 2)).toEqual(FS_ON);
+  });
+
+  it('selects the code system with FS C n where the profile can switch it', () => {
+    const printer = new Printer({ encoding: 'Shift_JIS', width: 48, profile: 'epson-tm-t88-jp' });
+    expect(bytes(printer.text('日本')).subarray(0, 5)).toEqual(Buffer.from('\x1c\x43\x01\x1c\x26', 'latin1'));
+    expect(bytes(printer.kanjiCodeSystem('JIS'))).toEqual(Buffer.from('\x1c\x43\x00', 'latin1'));
+  });
+
+  it('writes text in the encoding of the selected code system', () => {
+    const printer = new Printer({ encoding: 'GB18030', width: 48 });
+    printer.kanjiCodeSystem('KS C 5601');
+    expect(printer.encoding).toBe('EUC-KR');
+    printer.kanjiCodeSystem('Big5');
+    expect(bytes(printer.text('台灣'))).toEqual(iconv.encode('台灣\n', 'Big5'));
+    expect(() => printer.kanjiCodeSystem('latin1')).toThrow(RangeError);
+  });
+});
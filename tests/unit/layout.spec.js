@@ -0,0 +1,48 @@
+import { layoutColumns } from "../../lib/layout";
+
+const text = (lines) => lines.map((segments) => segments.map((segment) => segment.text).join(''));
+
+describe('layoutColumns', () => {
+  it('lines rows up and wraps cell text', () => {
+    expect(text(layoutColumns([['Tea', '3.00'], ['Green tea with honey', '12.50']], {
+      width: 16,
+      columns: [{}, { width: 'auto', align: 'right' }],
+    }))).toEqual([
+      'Tea         3.00',
+      'Green tea  12.50',
+      'with honey      ',
+    ]);
+  });
+
+  it('measures box-drawing borders as one column in a single-byte code page', () => {
+    const lines = text(layoutColumns([['Tea', '3.00']], { width: 20, border: 'single', encoding: 'CP437' }));
+    expect(lines).toEqual([
+      '┌─────────┬────────┐',
+      '│Tea      │3.00    │',
+      '└─────────┴────────┘',
+    ]);
+  });
+
+  it('measures box-drawing borders as two columns in a double-byte encoding', () => {
+    const lines = text(layoutColumns([['Tea', '3.00']], { width: 20, border: 'single', encoding: 'GB18030' }));
+    // 7 + 7 columns become 6 + 8 so that the rules have no gaps
+    expect(lines).toEqual([
+      '┌───┬────┐',
+      '│Tea   │3.00    │',
+      '└───┴────┘',
+    ]);
+  });
+
+  it('leaves a line of an odd width a column short rather than break the rules', () => {
+    const lines = text(layoutColumns([['Tea', '3.00']], { width: 19, border: 'single', encoding: 'GB18030' }));
+    expect(lines).toEqual([
+      '┌───┬───┐',
+      '│Tea   │3.00  │',
+      '└───┴───┘',
+    ]);
+  });
+
+  it('rejects columns wider than the line', () => {
+    expect(() => layoutColumns([['a', 'b']], { width: 10, columns: [{ width: 8 }, { width: 8 }] })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,104 @@
+import net from "net";
+import { Buffer } from "buffer";
+import { NetworkTransport } from "../../lib/transport";
+import { queryStatus } from "../../lib/status";
+
+// a printer on an ephemeral port, onConnection gets the server side of every socket
+function listen(onConnection = () => {}) {
+  const sockets = [];
+  const server = net.createServer((socket) => {
+    sockets.push(socket);
+    onConnection(socket);
+  });
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve({
+    port: server.address().port,
+    sockets,
+    close: () => {
+      sockets.forEach((socket) => socket.destroy());
+      return new Promise((done) => server.close(done));
+    },
+  })));
+}
+
+describe('NetworkTransport', () => {
+  let printer;
+  let transport;
+
+  afterEach(async () => {
+    if (transport) await transport.close();
+    if (printer) await printer.close();
+    transport = printer = null;
+  });
+
+  it('waits for the socket to drain before a write resolves', async () => {
+    const received = [];
+    let ended;
+    printer = await listen((socket) => {
+      // a busy printer takes nothing for now
+      socket.pause();
+      socket.on('data', (chunk) => received.push(chunk));
+      ended = new Promise((resolve) => socket.once('end', resolve));
+    });
+    transport = new NetworkTransport('127.0.0.1', printer.port);
+    await transport.open();
+    const data = Buffer.alloc(4 * 1024 * 1024, 0x41);
+    let written = false;
+    const writing = transport.write(data).then(() => {
+      written = true;
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(written).toBe(false);
+    printer.sockets[0].resume();
+    await writing;
+    await transport.close();
+    await ended;
+    expect(Buffer.concat(received).length).toBe(data.length);
+  });
+
+  it('reads the status the printer sends back', async () => {
+    printer = await listen((socket) => socket.on('data', (request) => {
+      // DLE EOT 1 answered with online, drawer closed
+      if (request.equals(Buffer.from([0x10, 0x04, 0x01]))) socket.write(Buffer.from([0x12]));
+    }));
+    transport = new NetworkTransport('127.0.0.1', printer.port);
+    expect(await queryStatus(transport, 'printer')).toMatchObject({ online: true, drawerOpen: false });
+  });
+
+  it('returns nothing when the printer does not answer in time', async () => {
+    printer = await listen();
+    transport = new NetworkTransport('127.0.0.1', printer.port, { readTimeout: 20 });
+    await transport.open();
+    expect(await transport.read()).toEqual(Buffer.alloc(0));
+  });
+
+  it('keeps bytes that arrived before read() until they are asked for', async () => {
+    printer = await listen((socket) => socket.write(Buffer.from([1, 2, 3])));
+    transport = new NetworkTransport('127.0.0.1', printer.port, { readTimeout: 20 });
+    await transport.open();
+    expect(await transport.read(2)).toEqual(Buffer.from([1, 2]));
+    expect(await transport.read()).toEqual(Buffer.from([3]));
+  });
+
+  it('rejects open() when the connection is refused', async () => {
+    const closed = await listen();
+    await closed.close();
+    transport = new NetworkTransport('127.0.0.1', closed.port);
+    await expect(transport.open()).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    expect(transport.opened).toBe(false);
+  });
+
+  it('ends the connection on close()', async () => {
+    let ended;
+    printer = await listen((socket) => {
+      ended = new Promise((resolve) => socket.once('end', resolve));
+    });
+    transport = new NetworkTransport('127.0.0.1', printer.port);
+    await transport.open();
+    await transport.close();
+    await ended;
+    expect(transport.opened).toBe(false);
+    expect(transport.socket).toBe(null);
+    // closing twice is harmless
+    await transport.close();
+  });
+});
@@ -0,0 +1,88 @@
+import { Buffer } from "buffer";
+import { decodeImage, decodePng, decodeBmp, decodeGif, decodeDataUri } from "../../lib/node-pixels";
+import imgPixels from "../../lib/image";
+
+// 4x4, 2 bit palette (white, black, red, blue at alpha 128), rows filtered None, Sub, Up and Paeth
+const PALETTE_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAQAAAAEAgMAAADUn3btAAAADFBMVEX///8AAAD/AAAAAP8xSkYMAAAABHRSTlP///+ArZIq1AAAABBJREFUeJxjkGZ8wlTGchMAB4oCVu4R4QoAAAAASUVORK5CYII=';
+// 3x3 Adam7 RGB, pixel (x, y) is [x * 100, y * 100, 50]
+const INTERLACED_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAMAAAADCAIAAAGuTRJ+AAAAJUlEQVR4nA3DAQ0AAAgCwWemsAaZCEss3e4EVj91QcHjrogD7wBmywX+dDmBFwAAAABJRU5ErkJggg==';
+// 3x2 bottom-up, rows padded to 12 bytes
+const BMP_24 = 'Qk1OAAAAAAAAADYAAAAoAAAAAwAAAAIAAAABABgAAAAAABgAAAATCwAAEwsAAAAAAAAAAAAAAAAAgICA////AAAAAAD/AP8A/wAAAAAA';
+// 2x5 interlaced, row y in color y % 4 of black, red, green, blue
+const INTERLACED_GIF = 'R0lGODlhAgAFAIEAAAAAAP8AAAD/AAAA/ywAAAAAAgAFAEACBgQIUGLCrQA7';
+
+const bytes = (base64) => Buffer.from(base64, 'base64');
+
+// the RGBA of every pixel, row by row
+function rgba(pixels) {
+  const [width, height] = pixels.shape;
+  return Array.from({ length: height }, (v, y) => Array.from({ length: width }, (w, x) => (
+    [0, 1, 2, 3].map((c) => pixels.get(x, y, c))
+  )));
+}
+
+describe('decodePng', () => {
+  it('unfilters the scanlines and looks up the palette and its transparency', () => {
+    const W = [255, 255, 255, 255];
+    const K = [0, 0, 0, 255];
+    const R = [255, 0, 0, 255];
+    const B = [0, 0, 255, 128];
+    const pixels = decodePng(bytes(PALETTE_PNG));
+    expect(pixels.shape).toEqual([4, 4, 4]);
+    expect(rgba(pixels)).toEqual([
+      [W, K, R, B],
+      [B, R, K, W],
+      [K, K, R, R],
+      [W, B, W, B],
+    ]);
+  });
+
+  it('puts the pixels of every Adam7 pass in place', () => {
+    expect(rgba(decodePng(bytes(INTERLACED_PNG)))).toEqual([0, 1, 2].map((y) => [0, 1, 2].map((x) => (
+      [x * 100, y * 100, 50, 255]
+    ))));
+  });
+
+  it('rejects other data', () => {
+    expect(() => decodePng(bytes(BMP_24))).toThrow('Not a PNG image');
+  });
+});
+
+describe('decodeBmp', () => {
+  it('reads bottom-up rows of BGR pixels', () => {
+    expect(rgba(decodeBmp(bytes(BMP_24)))).toEqual([
+      [[255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255]],
+      [[0, 0, 0, 255], [128, 128, 128, 255], [255, 255, 255, 255]],
+    ]);
+  });
+});
+
+describe('decodeGif', () => {
+  it('reads the first frame, interlaced rows in order', () => {
+    const colors = [[0, 0, 0, 255], [255, 0, 0, 255], [0, 255, 0, 255], [0, 0, 255, 255]];
+    expect(rgba(decodeGif(bytes(INTERLACED_GIF)))).toEqual([0, 1, 2, 3, 4].map((y) => [colors[y % 4], colors[y % 4]]));
+  });
+});
+
+describe('decodeImage', () => {
+  it('tells the formats apart by their magic bytes', () => {
+    expect(decodeImage(bytes(BMP_24)).shape).toEqual([3, 2, 4]);
+    expect(decodeImage(bytes(INTERLACED_GIF)).shape).toEqual([2, 5, 4]);
+    expect(() => decodeImage(Buffer.from('JFIF'))).toThrow(/Unsupported image format/);
+  });
+});
+
+describe('decodeDataUri', () => {
+  it('decodes base64 and percent-encoded data', () => {
+    expect(decodeDataUri(`data:image/png;base64,${PALETTE_PNG}`)).toEqual(bytes(PALETTE_PNG));
+    expect(decodeDataUri('data:,a%20b%FF')).toEqual(Buffer.from([0x61, 0x20, 0x62, 0xff]));
+    expect(() => decodeDataUri('data:image/png;base64')).toThrow('Error parsing data URI');
+  });
+
+  it('lets getImage load a data URI without a DOM', async () => {
+    const image = await imgPixels(`data:image/gif;base64,${INTERLACED_GIF}`);
+    expect(image.size).toMatchObject({ width: 2, height: 5 });
+    // black and the dark primaries all print
+    expect(image.data.every(Boolean)).toBe(true);
+  });
+});
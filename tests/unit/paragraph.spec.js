@@ -0,0 +1,73 @@
+import iconv from "iconv-lite";
+import { wrapText, justifyText } from "../../lib/utils";
+import { Printer } from "../../lib/index";
+
+const printer = (width = 16) => new Printer({ encoding: 'GB18030', width });
+// the printed lines, without the trailing line feed
+const lines = (printer) => iconv.decode(printer.buffer.flush(true), 'GB18030').split('\n').slice(0, -1);
+
+describe('wrapText', () => {
+  it('breaks on spaces and collapses runs of them', () => {
+    expect(wrapText('the quick   brown fox', 10)).toEqual(['the quick', 'brown fox']);
+  });
+
+  it('splits a word longer than the line by character', () => {
+    expect(wrapText('abcdefghij xy', 4)).toEqual(['abcd', 'efgh', 'ij', 'xy']);
+  });
+
+  it('breaks between CJK characters and counts them two columns wide', () => {
+    expect(wrapText('你好世界再见', 5)).toEqual(['你好', '世界', '再见']);
+    expect(wrapText('Total 合计金额', 10)).toEqual(['Total 合计', '金额']);
+  });
+
+  it('takes a width per line', () => {
+    expect(wrapText('one two three four', (i) => (i === 0 ? 4 : 9))).toEqual(['one', 'two three', 'four']);
+  });
+});
+
+describe('justifyText', () => {
+  it('spreads the missing columns over the gaps, leftmost first', () => {
+    expect(justifyText('a bb c', 10)).toEqual('a   bb   c');
+    expect(justifyText('a b c', 8)).toEqual('a   b  c');
+  });
+
+  it('leaves a single word alone', () => {
+    expect(justifyText('word', 10)).toEqual('word');
+  });
+});
+
+describe('Printer.paragraph', () => {
+  it('indents the first line and hangs the others', () => {
+    expect(lines(printer().paragraph('1. Long list item that wraps', { hangingIndent: 3 }))).toEqual([
+      '1. Long list',
+      '   item that',
+      '   wraps',
+    ]);
+    expect(lines(printer().paragraph('Lorem ipsum dolor sit', { indent: 4 }))).toEqual([
+      '    Lorem ipsum',
+      'dolor sit',
+    ]);
+  });
+
+  it('justifies every line but the last', () => {
+    expect(lines(printer().paragraph('the quick brown fox jumps over', { justify: true }))).toEqual([
+      'the  quick brown',
+      'fox jumps over',
+    ]);
+  });
+
+  it('aligns lines within the width', () => {
+    expect(lines(printer(13).paragraph('Thank you', { align: 'ct' }))).toEqual(['  Thank you']);
+    expect(lines(printer(13).paragraph('Thank you', { align: 'rt' }))).toEqual(['    Thank you']);
+  });
+
+  it('wraps CJK text and starts a paragraph at every newline', () => {
+    expect(lines(printer(8).paragraph('谢谢惠顾欢迎再来\nBye'))).toEqual(['谢谢惠顾', '欢迎再来', 'Bye']);
+  });
+
+  it('wraps within the width divided by the character size', () => {
+    const doubled = printer().size(2, 1);
+    doubled.buffer.flush(true);
+    expect(lines(doubled.paragraph('one two three'))).toEqual(['one two', 'three']);
+  });
+});
@@ -0,0 +1,93 @@
+import { Buffer } from "buffer";
+import { interpret, renderPreview } from "../../lib/preview";
+import { Printer } from "../../lib/index";
+
+const printer = () => new Printer({ encoding: 'GB18030', width: 32 });
+const blocks = (printer, options) => interpret(printer.buffer.flush(true), options);
+
+// GS v 0 m xL xH yL yH, one byte wide
+const raster = (m, rows) => Buffer.concat([Buffer.from([0x1d, 0x76, 0x30, m, 1, 0, rows.length, 0]), Buffer.from(rows)]);
+
+describe('interpret', () => {
+  it('keeps the alignment and style of every line', () => {
+    const p = printer().align('ct').style('B').size(2, 2).text('TOTAL')
+      .size(1, 1).style('NORMAL').align('lt').text('a');
+    expect(blocks(p)).toEqual([
+      {
+        type: 'text',
+        align: 1,
+        height: 48,
+        runs: [{ text: 'TOTAL', bold: true, underline: 0, italic: false, reverse: false, font: 0, width: 2, height: 2 }],
+      },
+      {
+        type: 'text',
+        align: 0,
+        height: 30,
+        runs: [{ text: 'a', bold: false, underline: 0, italic: false, reverse: false, font: 0, width: 1, height: 1 }],
+      },
+    ]);
+  });
+
+  it('splits a line into runs where the style changes', () => {
+    const p = printer().print('a').style('B').print('b').style('NORMAL').text('c');
+    expect(blocks(p)[0].runs.map((run) => [run.text, run.bold])).toEqual([['a', false], ['b', true], ['c', false]]);
+  });
+
+  it('reads barcodes with their settings', () => {
+    // width 2 is written as GS w 3
+    expect(blocks(printer().barcode('1234567', 'EAN8', { width: 2, height: 50 }))).toEqual([
+      { type: 'barcode', align: 0, symbology: 'EAN8', data: '12345670', height: 50, moduleWidth: 3, hri: 2 },
+    ]);
+  });
+
+  it('decodes raster images, doubled by the mode', () => {
+    const p = printer();
+    p.buffer.write(raster(0, [0x80, 0x01]));
+    p.buffer.write(raster(3, [0xc0]));
+    const [normal, quadruple] = blocks(p);
+    expect(normal).toMatchObject({ type: 'image', width: 8, height: 2 });
+    expect(Array.from(normal.bits)).toEqual([1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1]);
+    expect(quadruple).toMatchObject({ type: 'image', width: 16, height: 2 });
+    expect(Array.from(quadruple.bits.subarray(0, 16))).toEqual([1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+  });
+
+  it('rebuilds QR codes from the stored data', () => {
+    const [qrcode] = blocks(printer().qrcode('hi', { size: 2, level: 'M' }));
+    expect(qrcode).toMatchObject({ type: 'qrcode', data: 'hi', level: 'M', moduleSize: 2 });
+    expect(qrcode.modules.length).toBe(21);
+  });
+
+  it('marks full and partial cuts after the feed', () => {
+    expect(blocks(printer().cut()).slice(-2)).toEqual([{ type: 'feed', height: 30 }, { type: 'cut', partial: false }]);
+    expect(blocks(printer().cut(true)).pop()).toEqual({ type: 'cut', partial: true });
+  });
+});
+
+describe('interpret in Star Line Mode', () => {
+  it('reads the Star sequences', () => {
+    const p = printer().model('star').align('ct').style('B').size(2, 2).text('TOTAL')
+      .barcode('1234567', 'EAN8', { height: 50, width: 2 }).qrcode('hi', { size: 3 }).cut(true, 0);
+    const [text, barcode, qrcode, cut] = blocks(p, { model: 'star' });
+    expect(text).toMatchObject({ type: 'text', align: 1, runs: [{ text: 'TOTAL', bold: true, width: 2, height: 2 }] });
+    expect(barcode).toEqual({ type: 'barcode', align: 1, symbology: 'EAN8', data: '1234567', height: 50, moduleWidth: 3, hri: 2 });
+    expect(qrcode).toMatchObject({ type: 'qrcode', data: 'hi', level: 'L', moduleSize: 3 });
+    expect(cut).toEqual({ type: 'cut', partial: true });
+  });
+});
+
+describe('renderPreview', () => {
+  const receipt = () => printer().align('ct').style('B').text('CAFE').style('NORMAL')
+    .align('lt').text('Tea 3.00').cut();
+
+  it('renders HTML', () => {
+    expect(renderPreview(receipt().buffer.flush(true), { width: 32 })).toMatchSnapshot();
+  });
+
+  it('renders SVG', () => {
+    expect(renderPreview(receipt().buffer.flush(true), { format: 'svg', width: 32 })).toMatchSnapshot();
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => renderPreview(Buffer.alloc(0), { format: 'pdf' })).toThrow(TypeError);
+  });
+});
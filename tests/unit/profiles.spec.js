@@ -0,0 +1,80 @@
+import { Buffer } from "buffer";
+import iconv from "iconv-lite";
+import { getProfile, registerProfile, resolveProfile, listProfiles } from "../../lib/profiles";
+import { Printer } from "../../lib/index";
+
+describe('profiles', () => {
+  it('looks profiles up by name, case insensitive', () => {
+    expect(getProfile('Epson-TM-T88')).toMatchObject({ name: 'epson-tm-t88', dots: 512, cutter: 'partial' });
+    expect(listProfiles()).toEqual(expect.arrayContaining(['generic-80mm', 'generic-58mm', 'qsprinter', 'star']));
+    expect(() => getProfile('tm-unknown')).toThrow(/^Unknown printer profile tm-unknown\. Registered: generic-80mm/);
+  });
+
+  it('fills fields a profile leaves out from the generic one', () => {
+    expect(getProfile('generic-58mm')).toMatchObject({
+      dots: 384,
+      columns: { A: 32, B: 42 },
+      model: null,
+      image: 'raster',
+      barcodeWidth: true,
+    });
+    expect(getProfile('epson-tm-t88').codePages).toBe(getProfile('generic-80mm').codePages);
+  });
+
+  it('starts from the profile it extends and merges the columns', () => {
+    const profile = registerProfile('Shop-Printer', { extends: 'epson-tm-t88', cutter: 'full', columns: { B: 60 } });
+    expect(profile).toMatchObject({ name: 'Shop-Printer', dots: 512, cutter: 'full', columns: { A: 42, B: 60 } });
+    expect(getProfile('shop-printer')).toBe(profile);
+    expect(Object.isFrozen(profile)).toBe(true);
+    expect(() => registerProfile('', {})).toThrow(TypeError);
+  });
+
+  it('resolves a profile object without registering it', () => {
+    expect(resolveProfile({ extends: 'generic-58mm', cutter: 'partial' })).toMatchObject({ name: 'custom', dots: 384, cutter: 'partial' });
+    expect(() => getProfile('custom')).toThrow(RangeError);
+  });
+});
+
+describe('Printer profiles', () => {
+  it('sets the model and the line width, keeping the default encoding', () => {
+    const printer = new Printer({ profile: 'epson-tm-t88' });
+    expect(printer.width).toBe(42);
+    expect(printer.encoding).toBe('GB18030');
+    expect(printer.text('好').buffer.flush(true)).toEqual(iconv.encode('好\n', 'GB18030'));
+    expect(new Printer({ profile: 'star' })._model).toBe('star');
+    expect(new Printer({ profile: 'epson-tm-t88', width: 40 }).width).toBe(40);
+  });
+
+  it('falls back to the built-in profile of the model without one', () => {
+    const printer = new Printer({ encoding: 'GB18030', width: 48 });
+    expect(printer._capability('cutter')).toBe('both');
+    expect(printer.model('qsprinter')._capability('barcodeWidth')).toBe(false);
+    expect(printer.model('star')._capability('code2d')).toEqual(['QRCODE']);
+  });
+
+  it('warns instead of sending what the printer cannot do', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const printer = new Printer({ profile: 'generic-58mm' });
+      expect(printer.cut().buffer.flush(true).toString()).toBe('\n\n\n');
+      printer.pdf417('x');
+      expect(warn.mock.calls.map(([message]) => message)).toEqual([
+        'This printer profile has no cutter, paper is only fed',
+        'PDF417 is not supported by this printer profile',
+      ]);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+
+  it('prints a QR code as an image on a profile without native support', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const bytes = new Printer({ profile: { code2d: [] } }).qrcode('hi').buffer.flush(true);
+      expect(bytes.indexOf(Buffer.from([0x1d, 0x76, 0x30]))).toBeGreaterThanOrEqual(0);
+      expect(warn).toHaveBeenCalledWith('QR code is not supported by this printer profile, printing it as an image');
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,82 @@
+import { Buffer } from "buffer";
+import { encodeQrcode, qrcodeImage } from "../../lib/qrcode";
+import { Printer } from "../../lib/index";
+
+const printer = (options = {}) => new Printer({ encoding: 'GB18030', width: 48, ...options });
+
+// the module grid read back from an image, one sample in the middle of every module
+function readModules(image, moduleSize, quietZone) {
+  const { width } = image.size;
+  const count = width / moduleSize - quietZone * 2;
+  return Array.from({ length: count }, (v, y) => Array.from({ length: count }, (w, x) => {
+    const px = (x + quietZone) * moduleSize + Math.floor(moduleSize / 2);
+    const py = (y + quietZone) * moduleSize + Math.floor(moduleSize / 2);
+    return image.data[py * width + px];
+  }));
+}
+
+describe('encodeQrcode', () => {
+  it('picks the smallest version that holds the content', () => {
+    expect(encodeQrcode('HELLO WORLD', { level: 'Q' })).toMatchObject({ version: 1, size: 21 });
+    expect(encodeQrcode('x'.repeat(100), { level: 'L' }).version).toBeGreaterThan(1);
+  });
+
+  it('draws the finder patterns', () => {
+    const { modules, size } = encodeQrcode('https://example.com');
+    [[0, 0], [0, size - 7], [size - 7, 0]].forEach(([y, x]) => {
+      expect(modules[y][x]).toBe(true);
+      expect(modules[y + 1][x + 1]).toBe(false);
+      expect(modules[y + 3][x + 3]).toBe(true);
+    });
+  });
+});
+
+describe('qrcodeImage', () => {
+  it('prints the modules of the symbol', () => {
+    const content = 'https://example.com/receipt/42';
+    const image = qrcodeImage(content, { moduleSize: 3, quietZone: 2 });
+    const { modules, size } = encodeQrcode(content);
+    expect(image.size.width).toBe((size + 4) * 3);
+    expect(readModules(image, 3, 2)).toEqual(modules);
+  });
+
+  it('keeps the quiet zone blank', () => {
+    const image = qrcodeImage('quiet', { moduleSize: 2, quietZone: 4 });
+    const { width } = image.size;
+    expect(image.data.slice(0, width * 8).some(Boolean)).toBe(false);
+  });
+
+  it('takes a whole smaller module size to fit maxWidth', () => {
+    const { size } = encodeQrcode('fit me');
+    const image = qrcodeImage('fit me', { moduleSize: 8, quietZone: 4, maxWidth: (size + 8) * 3 + 2 });
+    expect(image.size.width).toBe((size + 8) * 3);
+    expect(readModules(image, 3, 4)).toEqual(encodeQrcode('fit me').modules);
+  });
+
+  it('throws when one dot per module is too wide', () => {
+    expect(() => qrcodeImage('x'.repeat(500), { maxWidth: 40 })).toThrow(RangeError);
+  });
+});
+
+describe('Printer.qrcode', () => {
+  it('stores the content with GS ( k', () => {
+    const content = 'héllo 你好';
+    const data = Buffer.from(content, 'utf8');
+    const bytes = printer().qrcode(content, { size: 5, level: 'M' }).buffer.flush(true);
+    // GS ( k pL pH cn fn: 49 67 sets the module size, 49 80 48 stores the data
+    expect(bytes.indexOf(Buffer.from([0x1d, 0x28, 0x6b, 3, 0, 49, 67, 5]))).toBeGreaterThanOrEqual(0);
+    expect(bytes.indexOf(Buffer.concat([Buffer.from([0x1d, 0x28, 0x6b, data.length + 3, 0, 49, 80, 48]), data])))
+      .toBeGreaterThanOrEqual(0);
+  });
+
+  it('renders an image within the printable width', () => {
+    const bytes = printer({ dots: 200 }).qrcode('x'.repeat(100), { render: 'image', size: 8 }).buffer.flush(true);
+    const header = bytes.indexOf(Buffer.from([0x1d, 0x76, 0x30]));
+    expect(header).toBeGreaterThanOrEqual(0);
+    expect(bytes.readUInt16LE(header + 4) * 8).toBeLessThanOrEqual(200);
+  });
+
+  it('rejects a symbol too wide for the paper', () => {
+    expect(() => printer({ dots: 100 }).qrcode('x'.repeat(2500), { render: 'image' })).toThrow(RangeError);
+  });
+});
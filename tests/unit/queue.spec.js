@@ -0,0 +1,114 @@
+import { Buffer } from "buffer";
+import { PrintQueue, MemoryStorage, PrinterNotReadyError } from "../../lib/queue";
+import { MemoryTransport } from "../../lib/transport";
+import { Printer } from "../../lib/index";
+
+// events as [name, attempts, ...arguments] in the order they were emitted
+function record(queue) {
+  const events = [];
+  ['queued', 'printing', 'retry', 'done', 'failed'].forEach((name) => queue.on(name, (job, ...args) => {
+    events.push([name, job.attempts, ...args
+      .filter((arg) => arg !== undefined)
+      .map((arg) => (arg instanceof Error ? arg.message : arg))]);
+  }));
+  return events;
+}
+
+describe('PrintQueue', () => {
+  it('sends a job to its device', async () => {
+    const queue = new PrintQueue();
+    const transport = new MemoryTransport();
+    queue.addDevice('kitchen', transport);
+    await queue.add('kitchen', new Printer({ encoding: 'GB18030', width: 48 }).text('Order #12'));
+    await queue.idle();
+    expect(transport.data.toString()).toBe('Order #12\n');
+    expect(queue.pending()).toEqual([]);
+  });
+
+  it('retries with exponential backoff', async () => {
+    const queue = new PrintQueue({ retries: 3, backoff: 5, maxBackoff: 12 });
+    const events = record(queue);
+    const transport = new MemoryTransport().fail(3, new Error('offline'));
+    queue.addDevice('bar', transport);
+    await queue.add('bar', Buffer.from('hi'));
+    await queue.idle();
+    expect(events).toEqual([
+      ['queued', 0],
+      ['printing', 1], ['retry', 1, 'offline', 5],
+      ['printing', 2], ['retry', 2, 'offline', 10],
+      ['printing', 3], ['retry', 3, 'offline', 12],
+      ['printing', 4], ['done', 4],
+    ]);
+    expect(transport.data.toString()).toBe('hi');
+  });
+
+  it('fails a job after its retries', async () => {
+    const queue = new PrintQueue({ retries: 1, backoff: 1 });
+    const events = record(queue);
+    queue.addDevice('bar', new MemoryTransport().fail(2, new Error('jammed')));
+    await queue.add('bar', Buffer.from('hi'));
+    await queue.idle();
+    expect(events.slice(-1)).toEqual([['failed', 2, 'jammed']]);
+    expect(queue.pending()).toEqual([]);
+  });
+
+  it('holds jobs while the printer is not ready', async () => {
+    const statuses = [{ online: true, coverOpen: true }, { online: true }];
+    const queue = new PrintQueue({ backoff: 1, checkStatus: async () => statuses.shift() });
+    const errors = [];
+    queue.on('retry', (job, error) => errors.push(error));
+    const transport = new MemoryTransport();
+    queue.addDevice('bar', transport);
+    await queue.add('bar', Buffer.from('hi'));
+    await queue.idle();
+    expect(errors[0]).toBeInstanceOf(PrinterNotReadyError);
+    expect(errors[0].reasons).toEqual(['cover open']);
+    expect(transport.writes.length).toBe(1);
+  });
+
+  it('keeps jobs for a device that is added later', async () => {
+    const storage = new MemoryStorage();
+    await new PrintQueue({ storage }).add('later', Buffer.from('kept'));
+    const queue = new PrintQueue({ storage });
+    expect((await queue.restore()).map((job) => job.data.toString())).toEqual(['kept']);
+    const transport = new MemoryTransport();
+    queue.addDevice('later', transport);
+    await queue.idle();
+    expect(transport.data.toString()).toBe('kept');
+  });
+
+  it('keeps saving after a storage write failed', async () => {
+    const storage = new MemoryStorage();
+    const save = storage.save.bind(storage);
+    let broken = true;
+    storage.save = async (records) => {
+      if (broken) throw new Error('disk full');
+      return save(records);
+    };
+    const queue = new PrintQueue({ storage });
+    await expect(queue.add('bar', Buffer.from('lost'))).rejects.toThrow('disk full');
+    broken = false;
+    await queue.add('bar', Buffer.from('saved'));
+    expect(storage.records.map((record) => Buffer.from(record.data, 'base64').toString())).toEqual(['lost', 'saved']);
+  });
+
+  it('retries and then fails a job whose status cannot be saved', async () => {
+    const storage = new MemoryStorage();
+    const save = storage.save.bind(storage);
+    let saves = 0;
+    // only the save of add() goes through
+    storage.save = async (records) => {
+      if (++saves > 1) throw new Error('disk full');
+      return save(records);
+    };
+    const queue = new PrintQueue({ storage, retries: 1, backoff: 1 });
+    const events = record(queue);
+    const transport = new MemoryTransport();
+    queue.addDevice('bar', transport);
+    await queue.add('bar', Buffer.from('hi'));
+    await queue.idle();
+    expect(events).toEqual([['queued', 0], ['retry', 1, 'disk full', 1], ['failed', 2, 'disk full']]);
+    expect(queue.pending()).toEqual([]);
+    expect(transport.writes).toEqual([]);
+  });
+});
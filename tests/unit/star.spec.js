@@ -0,0 +1,64 @@
+import { Buffer } from "buffer";
+import ndarray from "ndarray";
+import { PrintImage } from "../../lib/image";
+import { Printer } from "../../lib/index";
+
+const star = () => new Printer({ encoding: 'GB18030', width: 48 }).model('star');
+const bytes = (printer) => printer.buffer.flush(true);
+const latin1 = (text) => Buffer.from(text, 'latin1');
+
+// a black image, 8 x 2 dots
+const image = () => new PrintImage(ndarray(
+  new Uint8Array(8 * 2 * 4).map((v, i) => (i % 4 === 3 ? 255 : 0)), [8, 2, 4], [4, 32, 1], 0
+));
+
+describe('star model', () => {
+  it('aligns with ESC GS a', () => {
+    expect(bytes(star().align('lt').align('ct').align('rt'))).toEqual(latin1('\x1b\x1da\x00\x1b\x1da\x01\x1b\x1da\x02'));
+  });
+
+  it('emphasizes with ESC E / ESC F', () => {
+    expect(bytes(star().style('BU').style('NORMAL'))).toEqual(latin1('\x1bE\x1b-\x01\x1bF\x1b-\x00'));
+  });
+
+  it('expands characters with ESC i, height first, up to 6', () => {
+    expect(bytes(star().size(2, 3))).toEqual(latin1('\x1bi\x02\x01'));
+    expect(bytes(star().size(8, 1))).toEqual(latin1('\x1bi\x00\x05'));
+  });
+
+  it('feeds and cuts with ESC d', () => {
+    expect(bytes(star().cut())).toEqual(latin1('\n\n\n\x1bd\x02'));
+    expect(bytes(star().cut(true, 1))).toEqual(latin1('\n\x1bd\x03'));
+  });
+
+  it('prints barcodes with ESC b and feeds a line after them', () => {
+    // EAN8, characters below, module mode 2, 50 dots high; Star adds the check digit
+    expect(bytes(star().barcode('1234567', 'EAN8', { height: 50, width: 2 })))
+      .toEqual(latin1('\x1bb\x32\x32\x32\x321234567\x1e'));
+    expect(bytes(star().barcode('1234567', 'EAN8', { height: 50, width: 2, position: 'off' })).subarray(0, 4))
+      .toEqual(latin1('\x1bb\x32\x31'));
+  });
+
+  it('prints QR codes with ESC GS y', () => {
+    expect(bytes(star().qrcode('hi', { level: 'M', size: 4 }))).toEqual(latin1([
+      '\x1b\x1dyS0\x02', // model 2
+      '\x1b\x1dyS1\x01', // level M
+      '\x1b\x1dyS2\x04', // cell size
+      '\x1b\x1dyD1\x00\x02\x00hi',
+      '\x1b\x1dyP',
+    ].join('')));
+  });
+
+  it('prints raster images with ESC GS S, scaling them for double width', () => {
+    const header = (bytes, height) => latin1(`\x1b\x1dS\x01${String.fromCharCode(bytes)}\x00${String.fromCharCode(height)}\x00\x00`);
+    // the height is padded to 8 dots
+    expect(bytes(star().raster(image()))).toEqual(Buffer.concat([header(1, 8), Buffer.from([0xff, 0xff, 0, 0, 0, 0, 0, 0])]));
+    expect(bytes(star().raster(image(), 'dw')).subarray(0, 13))
+      .toEqual(Buffer.concat([header(2, 8), Buffer.from([0xff, 0xff, 0xff, 0xff])]));
+  });
+
+  it('kicks the drawers with BEL and SUB', () => {
+    expect(bytes(star().cashdraw())).toEqual(latin1('\x07'));
+    expect(bytes(star().cashdraw(5))).toEqual(latin1('\x1a'));
+  });
+});
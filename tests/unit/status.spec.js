@@ -0,0 +1,87 @@
+import { Buffer } from "buffer";
+import { parseStatus, parseAsbStatus, isAsbStatus, notReadyReasons } from "../../lib/status";
+import { MemoryTransport } from "../../lib/transport";
+import { Printer } from "../../lib/index";
+
+describe('parseStatus', () => {
+  it('decodes the printer status byte', () => {
+    expect(parseStatus('printer', 0x16)).toEqual({
+      drawerOpen: true,
+      online: true,
+      waitingForRecovery: false,
+      feedButtonPressed: false,
+    });
+    expect(parseStatus(1, 0x1a).online).toBe(false);
+  });
+
+  it('decodes the offline, error and paper status bytes', () => {
+    expect(parseStatus('offline', 0x16).coverOpen).toBe(true);
+    expect(parseStatus('error', 0x1a).cutterError).toBe(true);
+    expect(parseStatus('paper', 0x7e)).toEqual({ paperNearEnd: true, paperEnd: true });
+    expect(parseStatus('paper', 0x12)).toEqual({ paperNearEnd: false, paperEnd: false });
+  });
+
+  it('takes the first byte of a buffer', () => {
+    expect(parseStatus('printer', Buffer.from([0x12])).online).toBe(true);
+  });
+
+  it('rejects bytes without the fixed bits', () => {
+    expect(() => parseStatus('printer', 0x00)).toThrow('Invalid status byte 0x0');
+    expect(() => parseStatus('printer', Buffer.alloc(0))).toThrow(TypeError);
+    expect(() => parseStatus('drawer', 0x12)).toThrow('Unknown status type drawer');
+  });
+});
+
+describe('parseAsbStatus', () => {
+  it('decodes the 4 byte block', () => {
+    const status = parseAsbStatus([0x18, 0x08, 0x0c, 0x00]);
+    expect(status.online).toBe(false);
+    expect(status.cutterError).toBe(true);
+    expect(status.paperEnd).toBe(true);
+    expect(status.paperNearEnd).toBe(false);
+  });
+
+  it('rejects short and malformed blocks', () => {
+    expect(() => parseAsbStatus([0x10, 0, 0])).toThrow(TypeError);
+    expect(() => parseAsbStatus([0x12, 0, 0, 0])).toThrow('Invalid Automatic Status Back response');
+    expect(isAsbStatus([0x10, 0, 0, 0])).toBe(true);
+    expect(isAsbStatus([0x12])).toBe(false);
+  });
+});
+
+describe('notReadyReasons', () => {
+  it('lists why a printer cannot print', () => {
+    expect(notReadyReasons({ online: true })).toEqual([]);
+    expect(notReadyReasons({ online: false, coverOpen: true, paperEnd: true, cutterError: true }))
+      .toEqual(['offline', 'cover open', 'paper end', 'printer error']);
+  });
+});
+
+describe('Printer status queries', () => {
+  it('writes DLE EOT n and parses the answer', async () => {
+    const transport = new MemoryTransport();
+    transport.responses.push(Buffer.from([0x1e]));
+    const printer = new Printer({ encoding: 'GB18030', width: 48, transport });
+    expect(await printer.getStatus('offline')).toEqual({
+      coverOpen: true,
+      paperFeeding: true,
+      paperEndStop: false,
+      errorOccurred: false,
+    });
+    expect(transport.writes).toEqual([Buffer.from([0x10, 0x04, 0x02])]);
+  });
+
+  it('merges the four statuses', async () => {
+    const transport = new MemoryTransport();
+    [0x12, 0x12, 0x12, 0x72].forEach((byte) => transport.responses.push(Buffer.from([byte])));
+    const status = await new Printer({ encoding: 'GB18030', width: 48 }).getFullStatus(transport);
+    expect(status.online).toBe(true);
+    expect(status.paperEnd).toBe(true);
+    expect(transport.writes.map((write) => write[2])).toEqual([1, 2, 3, 4]);
+  });
+
+  it('fails when the printer does not answer', async () => {
+    const printer = new Printer({ encoding: 'GB18030', width: 48, transport: new MemoryTransport() });
+    await expect(printer.getStatus()).rejects.toThrow('No status response from printer');
+  });
+});
@@ -0,0 +1,61 @@
+import { Buffer } from "buffer";
+import { Printer } from "../../lib/index";
+import { TemplateError } from "../../lib/template";
+
+const printer = () => new Printer({ encoding: 'GB18030', width: 48 });
+const bytes = (printer) => printer.buffer.flush(true);
+const latin1 = (text) => Buffer.from(text, 'latin1');
+
+describe('withStyle', () => {
+  it('writes only what changes and restores it afterwards', () => {
+    const p = printer().style('B');
+    bytes(p);
+    p.withStyle({ align: 'ct', bold: true }, (q) => q.text('TOTAL'));
+    expect(bytes(p)).toEqual(latin1('\x1b\x61\x01TOTAL\n\x1b\x61\x00'));
+    expect(p.state.align).toBe('LT');
+  });
+
+  it('restores the formatting when fn throws', () => {
+    const p = printer();
+    expect(() => p.withStyle({ align: 'rt', bold: true }, () => {
+      throw new Error('broken');
+    })).toThrow('broken');
+    expect(p.state).toEqual(printer().state);
+    expect(bytes(p)).toEqual(latin1('\x1b\x61\x02\x1b\x45\x01\x1b\x61\x00\x1b\x45\x00'));
+  });
+
+  it('restores the formatting when fn rejects', async () => {
+    const p = printer();
+    await expect(p.withStyle({ size: 2 }, async () => {
+      throw new Error('offline');
+    })).rejects.toThrow('offline');
+    expect(p.state.size).toEqual([1, 1]);
+  });
+
+  it('does not leave a template node\'s alignment on after it failed', () => {
+    const p = printer();
+    expect(() => p.template('<barcode align="rt" format="EAN13">12</barcode>')).toThrow(TemplateError);
+    expect(p.state.align).toBe('LT');
+  });
+
+  it('warns once about italic in Star Line Mode', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      const p = printer().model('star');
+      p.withStyle({ italic: true }, (q) => q.withStyle({ italic: true, bold: true }, () => q.text('x')));
+      expect(warn).toHaveBeenCalledTimes(1);
+      expect(bytes(p).includes(latin1('\x1b\x34'))).toBe(false);
+      expect(p.state.italic).toBe(false);
+    } finally {
+      warn.mockRestore();
+    }
+  });
+});
+
+describe('init', () => {
+  it('forgets the tracked formatting', () => {
+    const p = printer().align('ct').style('BI').size(2, 2);
+    expect(p.init().state).toEqual(printer().state);
+    expect(p.reset().buffer.flush(true).subarray(-2)).toEqual(latin1('\x1b\x40'));
+  });
+});
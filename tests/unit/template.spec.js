@@ -0,0 +1,63 @@
+import { TemplateError, parseMarkup } from "../../lib/template";
+import { BarcodeError } from "../../lib/barcode";
+import { Printer } from "../../lib/index";
+
+const printer = () => new Printer({ encoding: 'GB18030', width: 48 });
+
+// the TemplateError thrown by fn
+function templateError(fn) {
+  try {
+    fn();
+  } catch (e) {
+    expect(e).toBeInstanceOf(TemplateError);
+    return e;
+  }
+  throw new Error('expected a TemplateError');
+}
+
+describe('parseMarkup', () => {
+  it('builds the node tree', () => {
+    expect(parseMarkup('<text align="ct">A &amp; B</text><cut />').children).toEqual([
+      { type: 'text', align: 'ct', text: 'A & B', $line: 1, $column: 1 },
+      { type: 'cut', $line: 1, $column: 34 },
+    ]);
+  });
+
+  it('points at unclosed and unexpected tags', () => {
+    const unclosed = templateError(() => parseMarkup('<feed />\n  <text>hi'));
+    expect(unclosed.message).toBe('Unclosed tag <text> at markup (line 2, column 3)');
+    expect([unclosed.line, unclosed.column]).toEqual([2, 3]);
+    expect(templateError(() => parseMarkup('<text>hi</cell>')).message)
+      .toBe('Unexpected closing tag </cell> at markup (line 1, column 9)');
+    expect(templateError(() => parseMarkup('<text>x</text> <')).message).toMatch(/^Malformed tag/);
+  });
+});
+
+describe('template errors', () => {
+  it('reports unknown placeholders with the node path', () => {
+    const error = templateError(() => printer().template('<feed /><text>{{order.name}}</text>', { order: {} }));
+    expect(error.message).toBe('Unknown placeholder {{order.name}} at $.children[1] (line 1, column 9)');
+    expect(error.path).toBe('$.children[1]');
+  });
+
+  it('reports invalid attributes and node types', () => {
+    expect(templateError(() => printer().template('<feed lines="x" />')).message)
+      .toMatch(/^Attribute lines must be a number, got "x"/);
+    expect(templateError(() => printer().template('<text size="9">x</text>')).message)
+      .toMatch(/^Attribute size must be one or two integers between 1 and 8/);
+    expect(templateError(() => printer().template('<foo />')).message).toMatch(/^Unknown node type "foo"/);
+    expect(templateError(() => printer().template([{ type: 'feed' }, 3])).message).toBe('Invalid node 3 at $.children[1]');
+  });
+
+  it('wraps printer errors and keeps the cause', () => {
+    const error = templateError(() => printer().template('<barcode format="EAN13">12</barcode>'));
+    expect(error.path).toBe('$.children[0]');
+    expect(error.cause).toBeInstanceOf(BarcodeError);
+  });
+
+  it('does not modify the template', () => {
+    const template = [{ type: 'text', text: '{{missing}}' }];
+    templateError(() => printer().template(template));
+    expect(template).toEqual([{ type: 'text', text: '{{missing}}' }]);
+  });
+});
@@ -3,10 +3,17 @@ module.exports = defineConfig({
   transpileDependencies: true,
   configureWebpack: {
     resolve: {
+      alias: {
+        ws: false
+      },
       fallback: {
         path: require.resolve('path-browserify'),
         stream: require.resolve('stream-browserify'),
-        zlib: require.resolve('browserify-zlib')
+        zlib: require.resolve('browserify-zlib'),
+        fs: false,
+        net: false,
+        http: false,
+        crypto: false
       }
     }
   }